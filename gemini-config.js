@@ -8,13 +8,14 @@ window.GeminiConfig = {
   models: {
     'gemini-2.5-flash-lite': {
       name: 'gemini-2.5-flash-lite',
+      provider: 'gemini',
       displayName: 'Gemini 2.5 Flash Lite (Fast)',
       temperature: 0,
       maxOutputTokens: 1024,
       topP: 0.8,
       topK: 40,
       apiEndpoint: 'generateContent',
-      supportsStreaming: false,
+      supportsStreaming: true, // plain-text requests use streamGenerateContent (SSE)
       description: 'Fast model optimized for speed and efficiency',
       thinkingConfig: {
         thinkingBudget: 512
@@ -22,18 +23,32 @@ window.GeminiConfig = {
     },
     'gemini-2.5-flash': {
       name: 'gemini-2.5-flash',
+      provider: 'gemini',
       displayName: 'Gemini 2.5 Flash',
       temperature: 0,
       maxOutputTokens: 1024,
       topP: 0.8,
       topK: 40,
       apiEndpoint: 'generateContent',
-      supportsStreaming: false,
+      supportsStreaming: true, // plain-text requests use streamGenerateContent (SSE)
       description: 'A slightly more powerful flash model.',
       thinkingConfig: {
         thinkingBudget: 512
       }
-    }
+    },
+    // Self-hosted example (OpenAI-compatible chat-completions with vision):
+    // 'onprem-qwen-vl': {
+    //   name: 'onprem-qwen-vl',
+    //   provider: 'openai',               // 'gemini' | 'openai' | 'http' (see OCRProviders in script.js)
+    //   baseUrl: 'http://ocr.internal:8000/v1',
+    //   remoteModel: 'Qwen2.5-VL-7B-Instruct', // model id sent to the server (defaults to name)
+    //   apiKey: '',                       // optional Bearer token
+    //   displayName: 'On-prem Qwen VL',
+    //   temperature: 0,
+    //   maxOutputTokens: 1024,
+    //   topP: 0.8,
+    //   description: 'Self-hosted vision model'
+    // }
   },
 
   // Default model
@@ -61,13 +76,372 @@ window.GeminiConfig = {
     ].join('\n')
   },
 
+  /**
+   * Prompt profiles for different kinds of content, picked under "Prompt Profile".
+   * Users edit their own copies in the profile editor (saved in localStorage).
+   * - prompt: extraction prompt (empty = prompts.textOnly)
+   * - params: generation overrides on top of the model entry (temperature, maxOutputTokens, topP, topK)
+   * - noText: exact reply the prompt asks for when nothing is readable; never shown as a result
+   * - preserveWhitespace: keep indentation and blank lines (cleaning only strips trailing spaces)
+   * Extraction templates bring their own prompt, but still use the profile's params.
+   */
+  defaultPromptProfile: 'general',
+  promptProfiles: [
+    {
+      id: 'general',
+      label: 'General text',
+      prompt: '', // prompts.textOnly
+      params: {},
+      noText: 'no text detect and image blur'
+    },
+    {
+      id: 'handwriting',
+      label: 'Handwriting',
+      prompt: [
+        'You are an OCR transcriber for handwritten notes. Transcribe ONLY the handwritten and printed text in the image.',
+        'Respond with TEXT ONLY: no JSON, no markdown, no explanations.',
+        'Rules:',
+        '- Keep the writer\'s line breaks and word order; do not translate.',
+        '- Do not correct spelling, grammar or punctuation.',
+        '- Write [illegible] for a word you cannot read; never guess.',
+        '- Ignore doodles, crossed-out text and ruled lines.',
+        '- If nothing is legible: respond EXACTLY with: no text detected'
+      ].join('\n'),
+      params: { temperature: 0, maxOutputTokens: 2048 },
+      noText: 'no text detected'
+    },
+    {
+      id: 'code',
+      label: 'Source code',
+      prompt: [
+        'You are an OCR transcriber for source code. Transcribe the code in the image exactly as shown.',
+        'Respond with the code ONLY: no markdown code fences, no explanations, no line numbers.',
+        'Rules:',
+        '- Preserve indentation (count the spaces), blank lines, brackets, quotes and punctuation exactly.',
+        '- Do not fix bugs, reformat, complete or translate anything.',
+        '- If no code or text is visible: respond EXACTLY with: NO_CODE'
+      ].join('\n'),
+      params: { temperature: 0, maxOutputTokens: 4096 },
+      noText: 'NO_CODE',
+      preserveWhitespace: true
+    },
+    {
+      id: 'math',
+      label: 'Math (LaTeX)',
+      prompt: [
+        'You are an OCR transcriber for mathematics. Transcribe the image, writing every formula as LaTeX.',
+        'Respond with TEXT ONLY: no markdown code fences, no explanations, do not solve anything.',
+        'Rules:',
+        '- Inline formulas in $...$, displayed equations on their own line in $$...$$.',
+        '- Keep surrounding prose as plain text with its original line breaks.',
+        '- Use standard commands (\\frac, \\sqrt, \\sum, \\int, ^{}, _{}); no custom macros.',
+        '- If nothing is readable: respond EXACTLY with: NO_MATH'
+      ].join('\n'),
+      params: { temperature: 0, maxOutputTokens: 2048 },
+      noText: 'NO_MATH'
+    },
+    {
+      id: 'table',
+      label: 'Tables',
+      prompt: [
+        'You are an OCR transcriber for tables. Transcribe every table in the image as a GitHub-flavored Markdown table.',
+        'Rules:',
+        '- One Markdown row per table row, the header row first; keep the column order.',
+        '- Leave empty cells empty; merged cells repeat their value in each column they span.',
+        '- Write any text outside the tables as plain lines, in reading order.',
+        '- No code fences, no explanations; do not translate.',
+        '- If nothing is readable: respond EXACTLY with: NO_TABLE'
+      ].join('\n'),
+      params: { temperature: 0, maxOutputTokens: 4096 },
+      noText: 'NO_TABLE'
+    },
+    {
+      id: 'verticalCjk',
+      label: 'Vertical CJK',
+      prompt: [
+        'You are an OCR transcriber for vertical Chinese, Japanese or Korean text.',
+        'The text runs top to bottom in columns that are read from right to left.',
+        'Respond with TEXT ONLY: no JSON, no markdown, no explanations.',
+        'Rules:',
+        '- Write each column as one line, in reading order (rightmost column first).',
+        '- Preserve characters exactly (traditional vs simplified, kana, ruby base text only); do not translate or romanize.',
+        '- Write numbers and Latin letters set sideways or across the column (tate-chu-yoko) left to right, as normal.',
+        '- If nothing is readable: respond EXACTLY with: NO_TEXT'
+      ].join('\n'),
+      params: { temperature: 0, maxOutputTokens: 2048 },
+      noText: 'NO_TEXT'
+    }
+  ],
+
+  /**
+   * Optional second request after extraction (the "Translate To" selector).
+   * `prompt` gets {language} (display name below) and {text} filled in; the reply
+   * is shown next to the original. Keys of `languages` are what the selector stores.
+   */
+  translation: {
+    prompt: [
+      'Translate the following text into {language}.',
+      'Keep the original line breaks. Leave names, numbers, codes and URLs unchanged.',
+      'Respond with the translation ONLY: no notes, no quotes, no markdown.',
+      '',
+      '{text}'
+    ].join('\n'),
+    languages: {
+      en: 'English',
+      'zh-CN': 'Simplified Chinese',
+      'zh-TW': 'Traditional Chinese',
+      ja: 'Japanese',
+      ko: 'Korean',
+      es: 'Spanish',
+      fr: 'French',
+      de: 'German'
+    }
+  },
+
+  /**
+   * Structured extraction templates: the model replies with JSON matching `schema`
+   * (responseMimeType: application/json + responseSchema), validated by validator.parseStructured().
+   * Schema = Gemini responseSchema subset: type, properties, items, required, nullable.
+   */
+  templates: {
+    receipt: {
+      label: 'Receipt',
+      prompt: [
+        'You are an OCR field extractor. Read the receipt in the image and fill the JSON fields.',
+        'Copy names and dates exactly as printed; do not translate.',
+        'Amounts are plain numbers without currency symbols.',
+        'Use null for any field that is not visible or not readable; never guess.'
+      ].join('\n'),
+      schema: {
+        type: 'OBJECT',
+        properties: {
+          merchant: { type: 'STRING', nullable: true },
+          date: { type: 'STRING', nullable: true },
+          items: {
+            type: 'ARRAY',
+            items: {
+              type: 'OBJECT',
+              properties: {
+                name: { type: 'STRING' },
+                quantity: { type: 'NUMBER', nullable: true },
+                price: { type: 'NUMBER', nullable: true }
+              },
+              required: ['name']
+            }
+          },
+          total: { type: 'NUMBER', nullable: true }
+        },
+        required: ['merchant', 'date', 'items', 'total']
+      }
+    },
+    businessCard: {
+      label: 'Business card',
+      prompt: [
+        'You are an OCR field extractor. Read the business card in the image and fill the JSON fields.',
+        'Copy values exactly as printed; do not translate.',
+        'Use null for any field that is not visible or not readable; never guess.'
+      ].join('\n'),
+      schema: {
+        type: 'OBJECT',
+        properties: {
+          name: { type: 'STRING', nullable: true },
+          title: { type: 'STRING', nullable: true },
+          company: { type: 'STRING', nullable: true },
+          phone: { type: 'STRING', nullable: true },
+          email: { type: 'STRING', nullable: true },
+          website: { type: 'STRING', nullable: true },
+          address: { type: 'STRING', nullable: true }
+        },
+        required: ['name', 'company', 'phone', 'email']
+      }
+    },
+    transitCard: {
+      label: 'Transit card balance',
+      prompt: [
+        'You are an OCR field extractor. Read the transit card or top-up machine screen in the image and fill the JSON fields.',
+        'Balance is a plain number without currency symbol; currency is the printed symbol or code.',
+        'Use null for any field that is not visible or not readable; never guess.'
+      ].join('\n'),
+      schema: {
+        type: 'OBJECT',
+        properties: {
+          card_number: { type: 'STRING', nullable: true },
+          card_type: { type: 'STRING', nullable: true },
+          balance: { type: 'NUMBER', nullable: true },
+          currency: { type: 'STRING', nullable: true },
+          expiry_date: { type: 'STRING', nullable: true }
+        },
+        required: ['card_number', 'balance']
+      }
+    }
+  },
+
   // Rate limiting / retry policy for API calls
   rateLimit: {
-    retryDelay: 5000,
+    retryDelay: 5000,       // fallback when a 429/503 reply has no RetryInfo
     maxRetries: 1,
-    backoffMultiplier: 1.5
+    backoffMultiplier: 1.5,
+    // Token buckets per model: requests and tokens per minute (0 / missing = no limit).
+    // `tier` picks the Gemini API usage tier of your key; the free tier holds capture to one
+    // frame every 4-6s. Users can switch it under AI Model (saved in localStorage).
+    tier: 'free',
+    tiers: {
+      free: {
+        label: 'Free tier',
+        models: {
+          'gemini-2.5-flash-lite': { rpm: 15, tpm: 250000 },
+          'gemini-2.5-flash': { rpm: 10, tpm: 250000 }
+        }
+      },
+      tier1: {
+        label: 'Paid tier 1',
+        models: {
+          'gemini-2.5-flash-lite': { rpm: 4000, tpm: 4000000 },
+          'gemini-2.5-flash': { rpm: 1000, tpm: 1000000 }
+        }
+      },
+      none: { label: 'No limit', models: {} }
+    }
+  },
+
+  // Recorded video files (Open Video / drop): which frames are sent for OCR
+  videoSampling: {
+    mode: 'interval',     // 'interval' = every intervalSec; 'scene' = only when the picture changes
+    intervalSec: 2,       // video seconds between samples in interval mode
+    sceneStepSec: 0.5,    // how often to look for a scene change in scene mode
+    sceneThreshold: 0.12  // mean thumbnail difference (0..1) that counts as a new scene
+  },
+
+  // Frames captured while offline are kept in IndexedDB and sent when the network returns
+  offlineQueue: {
+    enabled: true,
+    maxItems: 200       // frames beyond this are dropped while offline
+  },
+
+  // Embed API (WebcamOCR.create / iframe postMessage): parent page origins allowed to script
+  // this app inside an iframe and to receive its events. [] = same origin only; '*' = any page.
+  embed: {
+    allowedOrigins: []   // e.g. ['https://inventory.example.com']
+  },
+
+  /**
+   * Outbound webhook: every accepted result is POSTed as JSON to `url`. Set up under "Webhook"
+   * in the UI (saved in localStorage, overriding these). Failed deliveries wait in an IndexedDB
+   * outbox and are retried with exponential back-off. Payload and signature: README "Webhook".
+   */
+  webhook: {
+    enabled: false,
+    url: '',
+    headers: {},          // extra request headers, e.g. { Authorization: 'Bearer ...' }
+    secret: '',           // HMAC-SHA256 key for X-OCR-Signature ('' = unsigned)
+    includeImage: false,  // add the JPEG sent for OCR (base64; tens of KB per result)
+    timeoutMs: 10000,
+    maxAttempts: 8,       // then the delivery is dropped (logged to the console)
+    retryBaseMs: 2000,    // wait retryBaseMs * 2^(attempt - 1) between tries...
+    retryMaxMs: 300000,   // ...but never longer than this
+    outboxMaxItems: 500   // results beyond this are not queued while the receiver is down
   },
 
+  // In-flight OCR requests (interval mode can overlap them)
+  requestPool: {
+    maxConcurrent: 2,   // frames captured while the pool is full are skipped
+    timeoutMs: 30000    // abort an attempt with no reply this long after it is sent; 0 = never
+  },
+
+  // Local checks on each frame before it is uploaded (can be changed in the UI)
+  frameChecks: {
+    skipUnchanged: true,   // skip frames that look the same as the last one sent
+    diffThreshold: 0.03,   // mean grayscale difference (0-1) below which a frame counts as unchanged
+    thumbSize: 32,         // longest side (px) of the grayscale thumbnail used for comparison
+    qualityCheck: true,    // reject blurry / badly exposed frames locally
+    minSharpness: 60,      // Laplacian variance; lower = blurrier
+    minBrightness: 40,     // mean luma 0-255; below = too dark
+    maxBrightness: 220,    // mean luma 0-255; above = over-exposed
+    sampleSize: 160        // longest side (px) of the sample used for sharpness/brightness
+  },
+
+  // Spending limits (0 = no limit). Editable under "Budget" in the UI; saved in localStorage.
+  // Capture warns at softLimitRatio of any limit and stops at 100%.
+  budget: {
+    sessionUsd: 0,
+    sessionRequests: 0,
+    dailyUsd: 0,
+    dailyRequests: 0,
+    softLimitRatio: 0.8
+  },
+
+  // Image preprocessing before upload (can be changed in the UI)
+  preprocessing: {
+    maxDimension: 1280,  // longest side in px (0 = camera resolution); smaller = fewer image tokens
+    grayscale: false,
+    contrast: 'none',    // 'none' | 'stretch' | 'threshold' (adaptive, for faded thermal receipts)
+    sharpen: false,
+    rotation: 0          // 0 | 90 | 180 | 270 (clockwise)
+  },
+
+  // Show the user-facing camera like a mirror (ROI drags and text boxes follow).
+  // Off by default: the preview then matches the frames sent to the model.
+  mirrorFrontCamera: false,
+
+  /**
+   * "Text Boxes" overlay: camera / screen / video frames are sent with this prompt and
+   * schema instead of a template. Each region's box_2d is [ymin, xmin, ymax, xmax] scaled
+   * to 0-1000 of the sent image; the boxes are drawn over the video and copy their text on click.
+   */
+  overlay: {
+    label: 'Text boxes',
+    prompt: [
+      'You are an OCR text locator. Find every line of visible text in the image.',
+      'For each line return its text and box_2d = [ymin, xmin, ymax, xmax], normalized to 0-1000.',
+      'Rules:',
+      '- One region per line of text, in reading order.',
+      '- Preserve characters exactly as they appear; do not translate.',
+      '- If any character is uncertain, OMIT it; never guess or fabricate.',
+      '- If no text is readable, return an empty regions array.'
+    ].join('\n'),
+    schema: {
+      type: 'OBJECT',
+      properties: {
+        regions: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              text: { type: 'STRING' },
+              box_2d: { type: 'ARRAY', items: { type: 'NUMBER' } }
+            },
+            required: ['text', 'box_2d']
+          }
+        }
+      },
+      required: ['regions']
+    },
+    clearAfterMs: 8000 // boxes disappear when no newer reply replaces them (0 = keep)
+  },
+
+  // Persistent result history (IndexedDB)
+  history: {
+    enabled: true,
+    saveThumbnails: true,  // store a small JPEG of the frame with each result
+    thumbnailSize: 160,    // longest side (px)
+    pageSize: 10           // results per page in the History view
+  },
+
+  /**
+   * Default text cleaning rules, applied in order to every plain-text result.
+   * Users edit their own copy in the "Text Cleaning Rules" panel (saved in localStorage).
+   * action: 'remove' | 'replace' | 'keepOnly' (keep only matching lines)
+   * Rules with enabled: false are examples for one kind of document (EZ-Link card readers);
+   * switch them on in the panel only where that text is noise.
+   */
+  cleaningRules: [
+    { id: 'ezlink-handle', enabled: false, action: 'remove', pattern: '@ezlink', flags: 'gi' },
+    { id: 'ezlink-reload', enabled: false, action: 'remove', pattern: 'Check card balance and reload via', flags: 'gi' },
+    { id: 'scan-qr', action: 'remove', pattern: 'Scan QR to download', flags: 'gi' },
+    { id: 'adult-label', enabled: false, action: 'remove', pattern: 'adult', flags: 'gi', wholeWord: true },
+    { id: 'ad-counter', action: 'remove', pattern: 'AD: \\d{1,3}/\\d{1,3}', flags: 'gi' }
+  ],
+
   // Detect "no text" style responses (still useful if model drifts)
   noTextPatterns: [
     'no text',
@@ -100,6 +474,48 @@ window.GeminiConfig = {
       if (schema === 'text')  return { text: '' };
       if (schema === 'lines') return { lines: [] };
       if (schema === 'pages') return { pages: [] };
+    },
+
+    // List of problems ([] = valid) for a responseSchema-style schema
+    validate(value, schema, path = '$') {
+      if (!schema) return [];
+      if (value === null || value === undefined) {
+        return schema.nullable ? [] : [`${path}: missing`];
+      }
+      const type = String(schema.type || '').toLowerCase();
+      const errors = [];
+      if (type === 'object') {
+        if (typeof value !== 'object' || Array.isArray(value)) return [`${path}: expected object`];
+        (schema.required || []).forEach(key => {
+          if (!(key in value)) errors.push(`${path}.${key}: required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+          if (key in value) errors.push(...this.validate(value[key], sub, `${path}.${key}`));
+        });
+      } else if (type === 'array') {
+        if (!Array.isArray(value)) return [`${path}: expected array`];
+        value.forEach((item, i) => errors.push(...this.validate(item, schema.items, `${path}[${i}]`)));
+      } else if (type === 'string') {
+        if (typeof value !== 'string') errors.push(`${path}: expected string`);
+      } else if (type === 'number' || type === 'integer') {
+        if (typeof value !== 'number' || !isFinite(value)) errors.push(`${path}: expected number`);
+        else if (type === 'integer' && !Number.isInteger(value)) errors.push(`${path}: expected integer`);
+      } else if (type === 'boolean') {
+        if (typeof value !== 'boolean') errors.push(`${path}: expected boolean`);
+      }
+      return errors;
+    },
+
+    // Parse a JSON reply (tolerating code fences) and validate it: { data | null, errors }
+    parseStructured(jsonStr, schema) {
+      let obj;
+      try {
+        obj = JSON.parse(String(jsonStr).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+      } catch {
+        return { data: null, errors: ['reply is not valid JSON'] };
+      }
+      const errors = this.validate(obj, schema);
+      return { data: errors.length ? null : obj, errors };
     }
   },
 
@@ -137,17 +553,40 @@ window.GeminiConfig = {
 
   // Token estimation helpers
   tokenEstimation: {
-    // Estimate image tokens (rough approximation)
-    estimateImageTokens(base64Image) {
+    // Estimate image tokens the way Gemini counts them: 258 per image when both sides are
+    // at most 384px, otherwise 258 per tile. Tiles are square, min(width, height) / 1.5 on
+    // a side (clamped to 256-768px). Pass { width, height } when known; otherwise they are
+    // read from the JPEG header.
+    estimateImageTokens(base64Image, size = null) {
+      const perTile = 258;
       try {
-        // Remove data URL prefix to get actual base64
-        const base64 = base64Image.split(',')[1] || base64Image;
-        const imageSizeBytes = Math.ceil(base64.length * 0.75); // base64 to bytes
-        // Rough estimation: ~85 tokens per 100 bytes for images
-        return Math.ceil(imageSizeBytes / 100 * 85);
+        const { width, height } = size || this.jpegSize(base64Image);
+        if (!width || !height) return perTile;
+        if (width <= 384 && height <= 384) return perTile;
+        const tile = Math.min(768, Math.max(256, Math.floor(Math.min(width, height) / 1.5)));
+        return Math.ceil(width / tile) * Math.ceil(height / tile) * perTile;
       } catch {
-        return 1700; // fallback estimation
+        return perTile; // fallback estimation
+      }
+    },
+
+    // { width, height } from the first SOF marker of a base64 JPEG, or null
+    jpegSize(base64Image) {
+      const base64 = base64Image.split(',')[1] || base64Image;
+      const bytes = atob(base64);
+      const at = (i) => bytes.charCodeAt(i);
+      if (at(0) !== 0xFF || at(1) !== 0xD8) return null;
+      let i = 2;
+      while (i + 9 < bytes.length) {
+        if (at(i) !== 0xFF) return null;
+        const marker = at(i + 1);
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+          return { height: (at(i + 5) << 8) | at(i + 6), width: (at(i + 7) << 8) | at(i + 8) };
+        }
+        i += 2 + ((at(i + 2) << 8) | at(i + 3));
       }
+      return null;
     },
 
     // Estimate text tokens (rough approximation)
@@ -174,6 +613,29 @@ window.GeminiConfig = {
       }
 
       return tokens * pricePerToken;
+    },
+
+    /**
+     * Cost of one request split by input modality, output and thinking.
+     * usage: { inputTokens, outputTokens, thinkingTokens, inputByModality: { text, image, ... } }
+     * Input tokens not covered by inputByModality are billed at the base input price.
+     */
+    calculateRequestCost(usage, modelName) {
+      const pricing = window.GeminiConfig.pricing[modelName];
+      const byModality = {};
+      let inputCost = 0;
+      let counted = 0;
+      Object.entries(usage.inputByModality || {}).forEach(([modality, tokens]) => {
+        const price = pricing?.inputTypes?.[modality] ?? pricing?.inputTokenPrice ?? 0;
+        byModality[modality] = tokens * price / 1000000;
+        inputCost += byModality[modality];
+        counted += tokens;
+      });
+      inputCost += this.calculateCost(Math.max(0, (usage.inputTokens || 0) - counted), true, modelName);
+
+      const outputCost = this.calculateCost(usage.outputTokens || 0, false, modelName);
+      const thinkingCost = this.calculateCost(usage.thinkingTokens || 0, false, modelName, true);
+      return { inputCost, byModality, outputCost, thinkingCost, totalCost: inputCost + outputCost + thinkingCost };
     }
   }
 };
@@ -3,11 +3,26 @@
  * Vanilla JS, no frameworks. Focus: simple, logical, cheap to maintain (便宜维护).
  *
  * Modules:
+ * - OCRError (+ subclasses): typed failures with user message, recovery hint, capture-loop policy
  * - UIManager: DOM refs + UX helpers
+ * - FrameAnalysis: local pixel checks (frame change, blur, exposure) on grayscale thumbnails
+ * - ImageProcessor: resize / grayscale / contrast / threshold / sharpen / rotate before upload
+ * - TextRegions: overlay replies (box_2d) -> boxes on the full video frame
  * - CameraManager: camera lifecycle + capture
- * - OCRService: request building + streaming/normal parsing + retry/throttle
+ * - OCRProviders: per-backend request/response adapters (Gemini, OpenAI-compatible, local HTTP)
+ * - OCRService: request building + streaming/normal parsing + retry/throttle + follow-up translation
+ * - LocalDB / HistoryStore: IndexedDB persistence + searchable result history
+ * - OfflineQueue: frames captured offline, replayed when the network returns
+ * - WebhookSender: signed JSON POST of each accepted result, IndexedDB outbox with retry back-off
+ * - TextRules: user-editable remove/replace/keep-only cleaning rules
+ * - PromptProfiles: named prompt + generation params + no-text sentinel per content type
+ * - Exporter: session results -> TXT / CSV / JSON lines / Markdown downloads
+ * - BudgetGuard: session/daily USD + request limits (warn, then stop capture)
+ * - RateLimiter: per-model RPM/TPM token buckets + server RetryInfo back-off
+ * - RequestPool: bounded in-flight requests with timeouts, cancel, capture-order rendering
  * - CaptureController: orchestrates capture loop (interval/async)
- * - App: wires everything together
+ * - App: wires everything together; emits result / noText / error / statusChange / usage
+ * - WebcamOCR: embed API for host pages (factory + handle) and the iframe postMessage bridge
  */
 
 /* ========== Utils ========== */
@@ -23,11 +38,91 @@ const U = {
   },
   now() { return Date.now(); },
   sleep(ms) { return new Promise(r => setTimeout(r, ms)); },
+  // Seconds -> m:ss (or h:mm:ss) for video positions
+  formatClock(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+  },
+  // Decode an image File/Blob into something drawImage() accepts
+  async loadImage(blob) {
+    if (window.createImageBitmap) return createImageBitmap(blob);
+    const url = URL.createObjectURL(blob);
+    try {
+      const img = new Image();
+      img.src = url;
+      await img.decode();
+      return img;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  },
+  // Save a string as a file via a temporary <a download>
+  downloadText(filename, content, mime = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+  // Clipboard write; falls back to execCommand where the async API is missing or blocked (http)
+  async copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch {
+      const area = document.createElement('textarea');
+      area.value = text;
+      area.setAttribute('readonly', '');
+      area.style.position = 'fixed';
+      area.style.opacity = '0';
+      document.body.appendChild(area);
+      area.select();
+      const ok = document.execCommand?.('copy') || false;
+      area.remove();
+      return ok;
+    }
+  },
+  // Compact local timestamp for filenames: 20250101-093000
+  fileStamp(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  },
   extractBase64(dataUrl) {
     const parts = String(dataUrl).split(',');
     if (parts.length !== 2) throw new Error('Invalid image data format');
     return parts[1];
   },
+  // True when a parsed template reply carries no actual values
+  isEmptyValue(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return !value.trim();
+    if (Array.isArray(value)) return value.every(v => U.isEmptyValue(v));
+    if (typeof value === 'object') return Object.values(value).every(v => U.isEmptyValue(v));
+    return false;
+  },
+  // Structured fields -> readable "key: value" lines (history, export, no-text checks)
+  flattenFields(value, indent = '') {
+    if (!value || typeof value !== 'object') return String(value ?? '');
+    return Object.entries(value)
+      .filter(([, v]) => !U.isEmptyValue(v))
+      .map(([key, v]) => {
+        if (Array.isArray(v)) {
+          const rows = v.map(item => (item && typeof item === 'object'
+            ? Object.entries(item).filter(([, x]) => !U.isEmptyValue(x)).map(([k, x]) => `${k}: ${x}`).join(', ')
+            : String(item)));
+          return `${indent}${key}:\n${rows.map(r => `${indent}  - ${r}`).join('\n')}`;
+        }
+        if (typeof v === 'object') return `${indent}${key}:\n${U.flattenFields(v, `${indent}  `)}`;
+        return `${indent}${key}: ${v}`;
+      })
+      .join('\n');
+  },
   confidenceHeuristic(text, responseMeta = {}) {
     if (!text || !text.trim()) return 0.1;
     let c = 0.9;
@@ -38,47 +133,234 @@ const U = {
   }
 };
 
+/* ========== Errors ========== */
+/**
+ * Every OCR and camera failure surfaces as an OCRError with a `code`.
+ * OCRError.codes gives each code its status-line message, a recovery hint and
+ * what the capture loop does next (`policy`):
+ * - stop:    stop capture; retrying cannot help until the user acts
+ * - backoff: keep capturing after `retryAfterMs` (server RetryInfo) or 5s
+ * - retry:   try again on the next tick, letting the same frame through
+ * - skip:    drop this frame's reply and move on
+ * - ignore:  stay quiet (cancelled on purpose)
+ */
+class OCRError extends Error {
+  constructor(code, message, details = {}) {
+    const known = OCRError.codes[code] ? code : 'unknown';
+    super(message || OCRError.codes[known].message);
+    this.name = this.constructor.name;
+    this.code = known;
+    Object.assign(this, details);
+  }
+
+  get userMessage() { return OCRError.codes[this.code].message; }
+  get action() { return OCRError.codes[this.code].action; }
+  get policy() { return OCRError.codes[this.code].policy; }
+
+  // Typed errors pass through; anything else becomes 'unknown'
+  static from(e) {
+    if (e instanceof OCRError) return e;
+    return new OCRError('unknown', e?.message || String(e), { cause: e });
+  }
+
+  // Plain object for embed events and postMessage (Error instances do not clone cleanly)
+  toJSON() {
+    return { code: this.code, message: this.userMessage, detail: this.message, action: this.action, policy: this.policy };
+  }
+}
+
+OCRError.codes = {
+  auth: { message: 'API key missing or invalid', action: 'Enter a valid Gemini API key, then start capture again.', policy: 'stop' },
+  quota: { message: 'Quota exceeded', action: 'Capture resumes when the quota refills.', policy: 'backoff' },
+  server: { message: 'Service temporarily unavailable', action: 'Capture resumes automatically.', policy: 'backoff' },
+  network: { message: 'Network connection error', action: 'Check your connection; capture keeps retrying.', policy: 'retry' },
+  timeout: { message: 'Request timed out', action: 'Capture keeps retrying; raise requestPool.timeoutMs on slow links.', policy: 'retry' },
+  cancelled: { message: 'Request cancelled', action: '', policy: 'ignore' },
+  safety: { message: 'Reply blocked by safety filters', action: 'Point the camera at something else.', policy: 'skip' },
+  truncated: { message: 'Reply cut off at the output token limit', action: 'Raise maxOutputTokens for this model or select a smaller region.', policy: 'skip' },
+  malformed: { message: 'Unexpected reply from the OCR service', action: 'Check the model and provider settings.', policy: 'skip' },
+  request: { message: 'Request rejected by the API', action: 'Check the model settings in gemini-config.js.', policy: 'stop' },
+  camera: { message: 'Camera unavailable', action: 'Allow camera access or connect a camera, then press Start Camera.', policy: 'stop' },
+  unknown: { message: 'OCR processing failed', action: '', policy: 'retry' }
+};
+
+class AuthError extends OCRError { constructor(message, details) { super('auth', message, details); } }
+class QuotaError extends OCRError { constructor(message, details) { super('quota', message, details); } }
+class ServerError extends OCRError { constructor(message, details) { super('server', message, details); } }
+class NetworkError extends OCRError { constructor(message, details) { super('network', message, details); } }
+class TimeoutError extends OCRError { constructor(message, details) { super('timeout', message, details); } }
+class CancelledError extends OCRError { constructor(message, details) { super('cancelled', message, details); } }
+class SafetyBlockError extends OCRError { constructor(message, details) { super('safety', message, details); } }
+class TruncatedError extends OCRError { constructor(message, details) { super('truncated', message, details); } }
+class MalformedResponseError extends OCRError { constructor(message, details) { super('malformed', message, details); } }
+
+class CameraError extends OCRError {
+  constructor(message, details) { super('camera', message, details); }
+
+  // getUserMedia DOMException -> readable reason (`reason` keeps the DOMException name)
+  static from(e) {
+    if (e instanceof OCRError) return e;
+    const name = e?.name || '';
+    const message =
+      name === 'NotAllowedError' || name === 'SecurityError' ? 'Camera permission denied'
+      : name === 'NotFoundError' || name === 'OverconstrainedError' ? 'No camera detected'
+      : name === 'NotReadableError' || name === 'AbortError' ? 'Camera is in use by another app'
+      : e?.message || 'Camera unavailable';
+    return new CameraError(message, { reason: name, cause: e });
+  }
+}
+
 /* ========== UI Manager ========== */
 class UIManager {
-  constructor() {
+  // root: the element holding the app markup (ids are looked up inside it)
+  constructor(root = document) {
+    const byId = id => root.querySelector(`#${id}`);
+    this.root = root;
     this.el = {
-      video: document.getElementById('cameraFeed'),
-      canvas: document.getElementById('captureCanvas'),
-      overlay: document.getElementById('cameraOverlay'),
-      statusDot: document.querySelector('#statusIndicator .status-dot'),
-      statusText: document.querySelector('#statusIndicator .status-text'),
-      start: document.getElementById('startBtn'),
-      stop: document.getElementById('stopBtn'),
-      clear: document.getElementById('clearBtn'),
-      toggle: document.getElementById('toggleCameraBtn'),
-      results: document.getElementById('resultsList'),
-      processing: document.getElementById('processingIndicator'),
-      errorBox: document.getElementById('errorMessage'),
-      modelSelect: document.getElementById('modelSelect'),
-      modelInfo: document.getElementById('modelInfo'),
-      debugBrowser: document.getElementById('debugBrowser'),
-      debugHttps: document.getElementById('debugHttps'),
-      debugCameraAPI: document.getElementById('debugCameraAPI'),
-      debugStream: document.getElementById('debugStream'),
-      debugVideoSize: document.getElementById('debugVideoSize'),
-      topLoader: document.getElementById('topLoader'),
-      footer: document.querySelector('.app-footer p'),
+      video: byId('cameraFeed'),
+      canvas: byId('captureCanvas'),
+      overlay: byId('cameraOverlay'),
+      statusDot: root.querySelector('#statusIndicator .status-dot'),
+      statusText: root.querySelector('#statusIndicator .status-text'),
+      start: byId('startBtn'),
+      stop: byId('stopBtn'),
+      clear: byId('clearBtn'),
+      autoCopy: byId('autoCopyToggle'),
+      toggle: byId('toggleCameraBtn'),
+      results: byId('resultsList'),
+      processing: byId('processingIndicator'),
+      errorBox: byId('errorMessage'),
+      modelSelect: byId('modelSelect'),
+      templateSelect: byId('templateSelect'),
+      translateSelect: byId('translateSelect'),
+      // Preprocessing controls
+      ppMaxDimension: byId('ppMaxDimension'),
+      ppGrayscale: byId('ppGrayscale'),
+      ppContrast: byId('ppContrast'),
+      ppSharpen: byId('ppSharpen'),
+      ppRotation: byId('ppRotation'),
+      preview: byId('previewCanvas'),
+      previewInfo: byId('previewInfo'),
+      modelInfo: byId('modelInfo'),
+      quotaInfo: byId('quotaInfo'),
+      rateTierSelect: byId('rateTierSelect'),
+      queueBadge: byId('queueBadge'),
+      fileInput: byId('fileInput'),
+      shareScreen: byId('shareScreenBtn'),
+      videoInput: byId('videoInput'),
+      imageProgress: byId('imageProgress'),
+      dropZone: byId('dropZone'),
+      debugBrowser: byId('debugBrowser'),
+      debugHttps: byId('debugHttps'),
+      debugCameraAPI: byId('debugCameraAPI'),
+      debugStream: byId('debugStream'),
+      debugVideoSize: byId('debugVideoSize'),
+      topLoader: byId('topLoader'),
+      footer: root.querySelector('.app-footer p'),
       // Token usage elements
-      tokenUsageSection: document.getElementById('tokenUsageSection'),
-      inputTokens: document.getElementById('inputTokens'),
-      outputTokens: document.getElementById('outputTokens'),
-      totalTokens: document.getElementById('totalTokens'),
-      inputCost: document.getElementById('inputCost'),
-      outputCost: document.getElementById('outputCost'),
-      totalCost: document.getElementById('totalCost'),
+      tokenUsageSection: byId('tokenUsageSection'),
+      inputTokens: byId('inputTokens'),
+      outputTokens: byId('outputTokens'),
+      totalTokens: byId('totalTokens'),
+      inputCost: byId('inputCost'),
+      outputCost: byId('outputCost'),
+      totalCost: byId('totalCost'),
+      thinkingTokens: byId('thinkingTokens'),
+      thinkingCost: byId('thinkingCost'),
+      translationTokens: byId('translationTokens'),
+      translationCost: byId('translationCost'),
+      ledgerCount: byId('ledgerCount'),
+      ledgerBody: byId('ledgerBody'),
+      skippedFrames: byId('skippedFrames'),
+      savedCost: byId('savedCost'),
+      // Budget
+      budgetSessionUsd: byId('budgetSessionUsd'),
+      budgetSessionRequests: byId('budgetSessionRequests'),
+      budgetDailyUsd: byId('budgetDailyUsd'),
+      budgetDailyRequests: byId('budgetDailyRequests'),
+      budgetSoftPercent: byId('budgetSoftPercent'),
+      budgetUsage: byId('budgetUsage'),
+      // Frame check controls
+      skipUnchanged: byId('skipUnchanged'),
+      diffThreshold: byId('diffThreshold'),
+      diffThresholdValue: byId('diffThresholdValue'),
+      qualityCheck: byId('qualityCheck'),
+      minSharpness: byId('minSharpness'),
+      minSharpnessValue: byId('minSharpnessValue'),
+      minBrightness: byId('minBrightness'),
+      minBrightnessValue: byId('minBrightnessValue'),
+      maxBrightness: byId('maxBrightness'),
+      maxBrightnessValue: byId('maxBrightnessValue'),
+      frameQuality: byId('frameQuality'),
+      // History
+      cameraContainer: root.querySelector('.camera-container'),
+      roiBox: byId('roiBox'),
+      textBoxCanvas: byId('textBoxCanvas'),
+      overlayToggle: byId('overlayToggle'),
+      roiSelect: byId('roiSelectBtn'),
+      roiClear: byId('roiClearBtn'),
+      exportMenu: byId('exportMenu'),
+      // Cleaning rules editor
+      rulesList: byId('rulesList'),
+      rulesAdd: byId('rulesAddBtn'),
+      rulesReset: byId('rulesResetBtn'),
+      rulesImport: byId('rulesImportInput'),
+      rulesExport: byId('rulesExportBtn'),
+      rulesSave: byId('rulesSaveBtn'),
+      rulesSample: byId('rulesSample'),
+      rulesTest: byId('rulesTestBtn'),
+      rulesOutput: byId('rulesOutput'),
+      rulesState: byId('rulesState'),
+      // Prompt profiles
+      profileSelect: byId('profileSelect'),
+      profileForm: byId('profileForm'),
+      profileState: byId('profileState'),
+      profileErrors: byId('profileErrors'),
+      profileNew: byId('profileNewBtn'),
+      profileDuplicate: byId('profileDuplicateBtn'),
+      profileDelete: byId('profileDeleteBtn'),
+      profileImport: byId('profileImportInput'),
+      profileExport: byId('profileExportBtn'),
+      profileReset: byId('profileResetBtn'),
+      profileSave: byId('profileSaveBtn'),
+      // Webhook settings
+      webhookEnabled: byId('webhookEnabled'),
+      webhookUrl: byId('webhookUrl'),
+      webhookHeaders: byId('webhookHeaders'),
+      webhookSecret: byId('webhookSecret'),
+      webhookIncludeImage: byId('webhookIncludeImage'),
+      webhookState: byId('webhookState'),
+      webhookMessage: byId('webhookMessage'),
+      webhookTest: byId('webhookTestBtn'),
+      webhookSave: byId('webhookSaveBtn'),
+      historyBtn: byId('historyBtn'),
+      historyPanel: byId('historyPanel'),
+      historySearch: byId('historySearch'),
+      historyFrom: byId('historyFrom'),
+      historyTo: byId('historyTo'),
+      historyList: byId('historyList'),
+      historyPrev: byId('historyPrev'),
+      historyNext: byId('historyNext'),
+      historyPage: byId('historyPage'),
     };
     this.tokenUsage = {
       totalInputTokens: 0,
       totalOutputTokens: 0,
+      totalThinkingTokens: 0,
       totalInputCost: 0,
       totalOutputCost: 0,
+      totalThinkingCost: 0,
+      // Translation follow-ups are counted apart from OCR requests
+      translationTokens: 0,
+      translationCost: 0,
+      translationRequests: 0,
+      requestCount: 0,
+      skippedFrames: 0,
       sessionStartTime: Date.now()
     };
+    this.ledger = []; // per-request rows, newest first (capped at 100)
+    this.textBoxes = []; // boxes currently drawn on the overlay (element pixels)
+    this.onStatus = null; // (text, type) => void, set by App for statusChange events
   }
 
   on(event, handler) {
@@ -86,6 +368,7 @@ class UIManager {
   }
 
   setStatus(text, type = 'default') {
+    this.onStatus?.(text, type);
     if (this.el.statusText) this.el.statusText.textContent = text;
     if (!this.el.statusDot) return;
     const dot = this.el.statusDot;
@@ -98,13 +381,23 @@ class UIManager {
     dot.style.backgroundColor = color;
   }
 
-  setButtons(cameraActive) {
+  // videoFile: a recorded video is loaded; Start then scans it instead of being disabled
+  setButtons(cameraActive, videoFile = false) {
+    // The drop zone hint covers the empty camera area until the camera runs
+    this.el.cameraContainer?.classList.toggle('camera-live', cameraActive);
     if (!this.el.start || !this.el.stop) return;
-    this.el.start.disabled = cameraActive;
+    this.el.start.disabled = cameraActive && !videoFile;
     this.el.stop.disabled = !cameraActive;
     if (this.el.toggle) this.el.toggle.disabled = !cameraActive;
-    this.el.start.textContent = cameraActive ? 'Camera Active' : 'Start Camera';
-    this.el.start.classList.toggle('btn-success', cameraActive);
+    this.el.start.textContent = videoFile ? 'Scan Video' : cameraActive ? 'Camera Active' : 'Start Camera';
+    this.el.start.classList.toggle('btn-success', cameraActive && !videoFile);
+  }
+
+  // Scan Video stays disabled while a scan runs (Stop or a ▶ seek ends it)
+  setScanning(active) {
+    if (!this.el.start) return;
+    this.el.start.disabled = active;
+    this.el.start.textContent = active ? 'Scanning...' : 'Scan Video';
   }
 
   showLoading(show) {
@@ -132,19 +425,85 @@ class UIManager {
     if (this.el.overlay) this.el.overlay.classList.remove('active');
   }
 
+  /**
+   * Draw text boxes on the overlay canvas. boxes: [{ text, left, top, width, height }] in
+   * element pixels (already mapped through object-fit and mirroring); [] clears.
+   */
+  drawTextBoxes(boxes) {
+    const canvas = this.el.textBoxCanvas;
+    if (!canvas) return;
+    this.textBoxes = boxes;
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    if (canvas.width !== Math.round(w * dpr)) canvas.width = Math.round(w * dpr);
+    if (canvas.height !== Math.round(h * dpr)) canvas.height = Math.round(h * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#34c759';
+    ctx.fillStyle = 'rgba(52, 199, 89, 0.15)';
+    boxes.forEach(b => {
+      ctx.fillRect(b.left, b.top, b.width, b.height);
+      ctx.strokeRect(b.left, b.top, b.width, b.height);
+    });
+    canvas.classList.toggle('has-boxes', boxes.length > 0);
+  }
+
+  // Topmost (smallest) box under an element-pixel point, or null
+  textBoxAt(x, y) {
+    const hits = (this.textBoxes || []).filter(b => x >= b.left && x <= b.left + b.width && y >= b.top && y <= b.top + b.height);
+    return hits.sort((a, b) => a.width * a.height - b.width * b.height)[0] || null;
+  }
+
+  // rect: element pixels inside the camera container, or null to hide
+  renderRoi(rect) {
+    const box = this.el.roiBox;
+    if (!box) return;
+    if (!rect) {
+      box.style.display = 'none';
+      return;
+    }
+    Object.assign(box.style, {
+      display: 'block',
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
+  setRoiSelecting(active) {
+    this.el.cameraContainer?.classList.toggle('roi-selecting', active);
+    if (this.el.roiSelect) this.el.roiSelect.textContent = active ? 'Drag on video...' : 'Select Region';
+  }
+
+  setRoiButtons(hasRoi) {
+    if (this.el.roiClear) this.el.roiClear.disabled = !hasRoi;
+  }
+
   clearResults() {
     if (this.el.results) this.el.results.innerHTML = '';
     this.setStatus('Results cleared', 'warning');
   }
 
-  addResult(text, confidence) {
+  // extra.fields: parsed template data, rendered as a key/value table instead of text
+  // extra.timestamp: capture time (default now); extra.queued: captured offline and replayed later
+  // extra.source: filename for images that did not come from the camera
+  // extra.videoTime: position (s) in a video file; rendered as a button that seeks there
+  // extra.preformatted: monospace text with indentation kept (source code profile)
+  // extra.id: session result id, read back by the item's action buttons
+  addResult(text, confidence, extra = {}) {
     if (!this.el.results) return;
     if (!text || !String(text).trim()) return;
 
     const item = document.createElement('div');
     item.className = 'result-item';
+    const capturedAt = extra.timestamp || Date.now();
+    item.dataset.timestamp = capturedAt;
+    if (extra.id) item.dataset.resultId = extra.id;
 
-    const ts = new Date().toLocaleTimeString();
+    const ts = new Date(capturedAt).toLocaleTimeString() + (extra.queued ? ' (captured offline)' : '');
     const conf = typeof confidence === 'number' ? Math.round(confidence * 100) : 'N/A';
     const cls = typeof conf === 'number'
       ? (conf >= 90 ? 'high-confidence' : conf >= 70 ? 'medium-confidence' : 'low-confidence')
@@ -153,18 +512,336 @@ class UIManager {
     item.innerHTML = `
       <div class="result-timestamp ${cls}">
         ${ts} - Confidence: ${conf}%
+        ${extra.source ? `<span class="result-source">${U.escapeHtml(extra.source)}</span>` : ''}
+        ${typeof extra.videoTime === 'number' ? `<button class="result-seek" data-video-time="${extra.videoTime}" title="Show this moment in the video">▶ ${U.formatClock(extra.videoTime)}</button>` : ''}
+        <span class="result-actions">
+          <button type="button" data-result-op="copy" title="Copy to clipboard">Copy</button>
+          <button type="button" data-result-op="pin" title="Pinned results are never dropped from the list" aria-pressed="false">Pin</button>
+          ${extra.fields ? '' : '<button type="button" data-result-op="edit" title="Correct the text (the original is kept)">Edit</button>'}
+          <button type="button" data-result-op="delete" title="Remove from the list and the export">Delete</button>
+        </span>
       </div>
-      <div class="result-text">${U.escapeHtml(text)}</div>
+      ${extra.fields ? this.renderFields(extra.fields) : `<div class="result-text${extra.preformatted ? ' preformatted' : ''}">${U.escapeHtml(text)}</div>`}
     `;
 
-    this.el.results.insertBefore(item, this.el.results.firstChild);
+    // Newest first by capture time, so replayed offline frames land where they belong
+    const newer = [...this.el.results.children].filter(c => Number(c.dataset.timestamp) > capturedAt);
+    this.el.results.insertBefore(item, newer.length ? newer[newer.length - 1].nextSibling : this.el.results.firstChild);
 
-    // Keep 15 latest
-    while (this.el.results.children.length > 15) {
-      this.el.results.removeChild(this.el.results.lastChild);
-    }
+    // Keep the 15 latest unpinned items; pinned ones neither count nor go
+    [...this.el.results.children].filter(c => !c.classList.contains('pinned')).slice(15).forEach(c => c.remove());
     this.el.results.scrollTop = 0;
     item.style.animation = 'slideIn 0.3s ease, highlightNew 0.5s ease';
+    return item;
+  }
+
+  togglePin(item) {
+    const pinned = item.classList.toggle('pinned');
+    const btn = item.querySelector('[data-result-op="pin"]');
+    if (btn) {
+      btn.textContent = pinned ? 'Unpin' : 'Pin';
+      btn.setAttribute('aria-pressed', String(pinned));
+    }
+    return pinned;
+  }
+
+  // The original (extracted) text element of a result item; the translation pane is separate
+  resultTextEl(item) {
+    return item?.querySelector('.result-text:not(.result-translation)') || null;
+  }
+
+  // Swap the text for a textarea with Save / Cancel
+  startResultEdit(item, text) {
+    const textEl = this.resultTextEl(item);
+    if (!textEl || item.classList.contains('editing')) return;
+    item.classList.add('editing');
+    const editor = document.createElement('div');
+    editor.className = 'result-editor';
+    editor.innerHTML = `
+      <textarea rows="${Math.min(12, Math.max(3, text.split('\n').length + 1))}" spellcheck="false"></textarea>
+      <div class="rules-actions">
+        <button type="button" class="btn btn-primary btn-small" data-result-op="save">Save</button>
+        <button type="button" class="btn btn-outline btn-small" data-result-op="cancel">Cancel</button>
+      </div>`;
+    editor.querySelector('textarea').value = text;
+    textEl.after(editor);
+    editor.querySelector('textarea').focus();
+  }
+
+  readResultEdit(item) {
+    return item?.querySelector('.result-editor textarea')?.value ?? '';
+  }
+
+  // text null = cancelled; original null = the text is back to what was extracted
+  finishResultEdit(item, text = null, original = null) {
+    item.querySelector('.result-editor')?.remove();
+    item.classList.remove('editing');
+    if (text == null) return;
+    const textEl = this.resultTextEl(item);
+    if (textEl) textEl.textContent = text;
+    item.classList.toggle('edited', original != null);
+    item.querySelector('.result-original')?.remove();
+    if (original == null) return;
+    const details = document.createElement('details');
+    details.className = 'result-original';
+    details.innerHTML = '<summary>Edited - show original</summary><div class="result-text"></div>';
+    details.querySelector('.result-text').textContent = original;
+    item.appendChild(details);
+  }
+
+  // Side-by-side pane next to a text result; text null = still translating, failed = show why not
+  renderTranslation(item, language, text, failed = false) {
+    const original = this.resultTextEl(item);
+    if (!original) return;
+    let pair = item.querySelector('.result-bilingual');
+    if (!pair) {
+      pair = document.createElement('div');
+      pair.className = 'result-bilingual';
+      original.replaceWith(pair);
+      pair.appendChild(original);
+      const pane = document.createElement('div');
+      pane.className = 'result-text result-translation';
+      pair.appendChild(pane);
+    }
+    const pane = pair.querySelector('.result-translation');
+    pane.dataset.lang = language;
+    pane.classList.toggle('pending', text == null && !failed);
+    pane.classList.toggle('failed', failed);
+    pane.textContent = failed ? `Translation failed${text ? `: ${text}` : ''}` : (text ?? 'Translating…');
+  }
+
+  // Batch progress for still images; done === total hides the bar
+  renderImageProgress(done, total, name = '') {
+    const bar = this.el.imageProgress;
+    if (bar) {
+      bar.hidden = done >= total;
+      bar.max = total;
+      bar.value = done;
+    }
+    if (done < total) this.setStatus(`Image ${done + 1}/${total}: ${name}`, 'default');
+  }
+
+  renderQueue(count) {
+    if (!this.el.queueBadge) return;
+    this.el.queueBadge.hidden = !count;
+    this.el.queueBadge.textContent = `${count} queued offline`;
+  }
+
+  // Placeholder item filled while a streamed reply arrives; replaced by addResult() when done
+  updatePartialResult(item, text) {
+    if (!this.el.results) return null;
+    if (!item) {
+      item = document.createElement('div');
+      item.className = 'result-item result-partial';
+      item.innerHTML = `
+        <div class="result-timestamp">${new Date().toLocaleTimeString()} - Receiving…</div>
+        <div class="result-text"></div>
+      `;
+      this.el.results.insertBefore(item, this.el.results.firstChild);
+    }
+    item.querySelector('.result-text').textContent = text;
+    return item;
+  }
+
+  removePartialResult(item) {
+    item?.remove();
+  }
+
+  isHistoryOpen() {
+    return !!this.el.historyPanel && this.el.historyPanel.style.display !== 'none';
+  }
+
+  toggleHistory() {
+    if (!this.el.historyPanel) return;
+    const open = !this.isHistoryOpen();
+    this.el.historyPanel.style.display = open ? 'block' : 'none';
+    if (this.el.historyBtn) this.el.historyBtn.textContent = open ? 'Hide History' : 'History';
+  }
+
+  renderHistory(items, total, page, pageSize) {
+    if (!this.el.historyList) return;
+    const pages = Math.max(1, Math.ceil(total / pageSize));
+
+    this.el.historyList.innerHTML = items.length
+      ? items.map(item => {
+          const when = new Date(item.timestamp).toLocaleString();
+          const conf = typeof item.confidence === 'number' ? `${Math.round(item.confidence * 100)}%` : 'N/A';
+          const tokens = (item.tokens?.input || 0) + (item.tokens?.output || 0);
+          return `
+            <div class="history-item">
+              ${item.thumbnail ? `<img class="history-thumb" src="${item.thumbnail}" alt="">` : ''}
+              <div class="history-body">
+                <div class="history-meta">
+                  ${U.escapeHtml(when)} · ${item.source ? `${U.escapeHtml(item.source)}${typeof item.videoTime === 'number' ? ` @ ${U.formatClock(item.videoTime)}` : ''} · ` : ''}${U.escapeHtml(item.model || '')} · ${conf} · ${tokens.toLocaleString()} tokens${item.originalText ? ' · edited' : ''}
+                </div>
+                <div class="result-text">${U.escapeHtml(item.text)}</div>
+                ${item.translation ? `<div class="result-text result-translation" data-lang="${U.escapeHtml(item.translation.language)}">${U.escapeHtml(item.translation.text)}</div>` : ''}
+              </div>
+              <button class="btn btn-outline btn-small" data-delete-id="${item.id}" title="Delete">Delete</button>
+            </div>`;
+        }).join('')
+      : '<p class="history-empty">No saved results</p>';
+
+    if (this.el.historyPage) this.el.historyPage.textContent = `Page ${page + 1} of ${pages} · ${total} results`;
+    if (this.el.historyPrev) this.el.historyPrev.disabled = page <= 0;
+    if (this.el.historyNext) this.el.historyNext.disabled = page >= pages - 1;
+  }
+
+  renderHistoryError(msg) {
+    if (this.el.historyList) this.el.historyList.innerHTML = `<p class="history-empty">${U.escapeHtml(msg)}</p>`;
+  }
+
+  renderRules(rules, errors = {}, dirty = false) {
+    if (!this.el.rulesList) return;
+    const actionLabels = { remove: 'Remove', replace: 'Replace', keepOnly: 'Keep only lines' };
+    this.el.rulesList.innerHTML = rules.length
+      ? rules.map((rule, i) => `
+        <div class="rule-row${errors[rule.id] ? ' invalid' : ''}" data-rule-index="${i}" title="${U.escapeHtml(errors[rule.id] || '')}">
+          <input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''} title="Enabled">
+          <select data-field="action">
+            ${Object.entries(actionLabels).map(([v, label]) => `<option value="${v}" ${rule.action === v ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+          <input type="text" class="rule-pattern" data-field="pattern" value="${U.escapeHtml(rule.pattern)}" placeholder="Regex pattern" spellcheck="false">
+          <input type="text" class="rule-flags" data-field="flags" value="${U.escapeHtml(rule.flags)}" placeholder="flags" title="Regex flags (g, i, m, s, u)">
+          <label class="rule-word"><input type="checkbox" data-field="wholeWord" ${rule.wholeWord ? 'checked' : ''}> Whole word</label>
+          ${rule.action === 'replace' ? `<input type="text" class="rule-replacement" data-field="replacement" value="${U.escapeHtml(rule.replacement)}" placeholder="Replacement">` : ''}
+          <span class="rule-ops">
+            <button type="button" data-rule-op="up" title="Move up">↑</button>
+            <button type="button" data-rule-op="down" title="Move down">↓</button>
+            <button type="button" data-rule-op="delete" title="Delete">✕</button>
+          </span>
+        </div>`).join('')
+      : '<p class="history-empty">No rules - results are only trimmed</p>';
+    this.setRulesDirty(dirty);
+  }
+
+  // Update one row's validity without re-rendering (keeps input focus)
+  markRuleRow(row, error, dirty) {
+    row.classList.toggle('invalid', !!error);
+    row.title = error || '';
+    this.setRulesDirty(dirty);
+  }
+
+  setRulesDirty(dirty) {
+    if (this.el.rulesState) this.el.rulesState.textContent = dirty ? 'Unsaved changes' : 'Applied';
+    this.el.rulesState?.classList.toggle('is-dirty', dirty);
+  }
+
+  showRulesTestOutput(text) {
+    if (this.el.rulesOutput) this.el.rulesOutput.textContent = text || '(empty result)';
+  }
+
+  renderProfileOptions(profiles, selectedId) {
+    const select = this.el.profileSelect;
+    if (!select) return;
+    select.innerHTML = profiles.map(p => `<option value="${U.escapeHtml(p.id)}">${U.escapeHtml(p.label)}</option>`).join('');
+    select.value = profiles.some(p => p.id === selectedId) ? selectedId : profiles[0]?.id || '';
+  }
+
+  // Fill the editor form from a profile; params left empty fall back to the model entry
+  renderProfileEditor(profile, errors = {}, dirty = false) {
+    const form = this.el.profileForm;
+    if (!form || !profile) return;
+    form.querySelectorAll('[data-field]').forEach(input => {
+      const value = profile[input.dataset.field];
+      if (input.type === 'checkbox') input.checked = !!value;
+      else input.value = value ?? '';
+    });
+    form.querySelectorAll('[data-param]').forEach(input => {
+      input.value = profile.params?.[input.dataset.param] ?? '';
+    });
+    this.markProfileEditor(errors, dirty);
+  }
+
+  // Update validity + saved state without re-rendering (keeps input focus)
+  markProfileEditor(errors = {}, dirty = false) {
+    this.el.profileForm?.querySelectorAll('[data-field], [data-param]').forEach(input => {
+      input.classList.toggle('invalid', !!errors[input.dataset.field || input.dataset.param]);
+    });
+    if (this.el.profileErrors) this.el.profileErrors.textContent = Object.values(errors).join(' · ');
+    if (this.el.profileState) this.el.profileState.textContent = dirty ? 'Unsaved changes' : 'Saved';
+    this.el.profileState?.classList.toggle('is-dirty', dirty);
+  }
+
+  // Template data -> <table>; arrays of objects become nested tables
+  renderFields(fields) {
+    const cell = (value) => {
+      if (value === null || value === undefined || value === '') return '<span class="field-empty">-</span>';
+      if (Array.isArray(value)) {
+        if (!value.length) return '<span class="field-empty">-</span>';
+        if (value.every(v => v && typeof v === 'object' && !Array.isArray(v))) {
+          const cols = [...new Set(value.flatMap(v => Object.keys(v)))];
+          return `<table class="result-fields nested">
+            <tr>${cols.map(c => `<th>${U.escapeHtml(c)}</th>`).join('')}</tr>
+            ${value.map(v => `<tr>${cols.map(c => `<td>${cell(v[c])}</td>`).join('')}</tr>`).join('')}
+          </table>`;
+        }
+        return U.escapeHtml(value.join(', '));
+      }
+      if (typeof value === 'object') return this.renderFields(value);
+      return U.escapeHtml(String(value));
+    };
+    return `<table class="result-fields">
+      ${Object.entries(fields).map(([key, value]) => `<tr><th>${U.escapeHtml(key.replace(/_/g, ' '))}</th><td>${cell(value)}</td></tr>`).join('')}
+    </table>`;
+  }
+
+  // Template <select>: "Plain text" plus one option per GeminiConfig.templates entry
+  syncTemplateOptions() {
+    const select = this.el.templateSelect;
+    const templates = window.GeminiConfig?.templates || {};
+    if (!select) return;
+    Object.entries(templates).forEach(([key, tpl]) => {
+      if ([...select.options].some(o => o.value === key)) return;
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = tpl.label || key;
+      select.appendChild(opt);
+    });
+  }
+
+  // "Translate To" <select>: "Off" plus GeminiConfig.translation.languages, restoring the saved choice
+  syncTranslateOptions(saved = '') {
+    const select = this.el.translateSelect;
+    const languages = window.GeminiConfig?.translation?.languages || {};
+    if (!select) return;
+    Object.entries(languages).forEach(([code, name]) => {
+      if ([...select.options].some(o => o.value === code)) return;
+      const opt = document.createElement('option');
+      opt.value = code;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+    if (saved && languages[saved]) select.value = saved;
+  }
+
+  // One <option> per rateLimit.tiers entry
+  syncTierOptions(selected) {
+    const select = this.el.rateTierSelect;
+    const tiers = window.GeminiConfig?.rateLimit?.tiers || {};
+    if (!select) return;
+    select.replaceChildren(...Object.entries(tiers).map(([key, tier]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = tier.label || key;
+      return opt;
+    }));
+    select.value = selected;
+    select.hidden = !select.options.length;
+  }
+
+  // Add an <option> for every configured model missing from the static markup
+  syncModelOptions() {
+    const select = this.el.modelSelect;
+    const models = window.GeminiConfig?.models || {};
+    if (!select) return;
+    Object.entries(models).forEach(([key, model]) => {
+      if ([...select.options].some(o => o.value === key)) return;
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = model.displayName || model.name || key;
+      select.appendChild(opt);
+    });
   }
 
   updateModelInfo() {
@@ -181,6 +858,24 @@ class UIManager {
     }
   }
 
+  // quota: RateLimiter.remaining() snapshot, or null when the model has no limits
+  renderQuota(quota) {
+    const el = this.el.quotaInfo;
+    if (!el) return;
+    if (!quota) {
+      el.textContent = 'Quota: no limit';
+      el.classList.remove('quota-low');
+      return;
+    }
+    const parts = [];
+    if (quota.rpm) parts.push(`${quota.requests}/${quota.rpm} req`);
+    if (quota.tpm) parts.push(`${Math.round(quota.tokens / 1000)}k/${Math.round(quota.tpm / 1000)}k tokens`);
+    let text = `Quota left this minute: ${parts.join(' · ') || 'no limit'}`;
+    if (quota.waitMs > 0) text += ` · next request in ${Math.ceil(quota.waitMs / 1000)}s`;
+    el.textContent = text;
+    el.classList.toggle('quota-low', quota.waitMs > 0 || (quota.rpm > 0 && quota.requests < 1));
+  }
+
   updateFooter(model) {
    if (!this.el.footer) return;
    const modelName = model?.displayName || model?.name || 'AI';
@@ -211,45 +906,225 @@ class UIManager {
     }
   }
 
-  updateTokenUsage(inputTokens, outputTokens, modelName) {
+  /**
+   * usage: { inputTokens, outputTokens, thinkingTokens, inputByModality } from OCRService.request()
+   * details: { estimate, latencyMs, kind } for the ledger row; kind 'translation' goes to the
+   * translation totals instead of the OCR ones. Returns this request's cost breakdown.
+   */
+  updateTokenUsage(usage, modelName, details = {}) {
     const CFG = window.GeminiConfig || {};
-    const inputCost = CFG.tokenEstimation?.calculateCost(inputTokens, true, modelName) || 0;
-    const outputCost = CFG.tokenEstimation?.calculateCost(outputTokens, false, modelName) || 0;
-    const totalCost = inputCost + outputCost;
+    const cost = CFG.tokenEstimation?.calculateRequestCost?.(usage, modelName)
+      || { inputCost: 0, byModality: {}, outputCost: 0, thinkingCost: 0, totalCost: 0 };
+    const kind = details.kind || 'ocr';
+
+    if (kind === 'translation') {
+      this.tokenUsage.translationTokens += (usage.inputTokens || 0) + (usage.outputTokens || 0) + (usage.thinkingTokens || 0);
+      this.tokenUsage.translationCost += cost.totalCost;
+      this.tokenUsage.translationRequests += 1;
+    } else {
+      this.tokenUsage.totalInputTokens += usage.inputTokens || 0;
+      this.tokenUsage.totalOutputTokens += usage.outputTokens || 0;
+      this.tokenUsage.totalThinkingTokens += usage.thinkingTokens || 0;
+      this.tokenUsage.totalInputCost += cost.inputCost;
+      this.tokenUsage.totalOutputCost += cost.outputCost;
+      this.tokenUsage.totalThinkingCost += cost.thinkingCost;
+      this.tokenUsage.requestCount += 1;
+    }
 
-    // Update session totals
-    this.tokenUsage.totalInputTokens += inputTokens;
-    this.tokenUsage.totalOutputTokens += outputTokens;
-    this.tokenUsage.totalInputCost += inputCost;
-    this.tokenUsage.totalOutputCost += outputCost;
+    this.ledger.unshift({
+      time: Date.now(),
+      model: modelName,
+      kind,
+      estimatedInput: details.estimate?.inputTokens ?? null,
+      latencyMs: details.latencyMs ?? null,
+      usage,
+      cost
+    });
+    if (this.ledger.length > 100) this.ledger.length = 100;
 
     // Update display
     this.updateTokenDisplay();
+    this.renderLedger();
+    return cost;
+  }
+
+  renderLedger() {
+    if (this.el.ledgerCount) this.el.ledgerCount.textContent = this.ledger.length;
+    if (!this.el.ledgerBody) return;
+    const usd = v => `$${(v || 0).toFixed(6)}`;
+    const n = v => (v || 0).toLocaleString();
+    this.el.ledgerBody.innerHTML = this.ledger.map(row => {
+      const { usage, cost } = row;
+      const modalities = Object.entries(usage.inputByModality || {});
+      const inputSplit = modalities.length ? `<small>${modalities.map(([m, t]) => `${U.escapeHtml(m)} ${n(t)}`).join(' · ')}</small>` : '';
+      const costSplit = Object.keys(cost.byModality || {}).length
+        ? `<small>${Object.entries(cost.byModality).map(([m, c]) => `${U.escapeHtml(m)} ${usd(c)}`).join(' · ')}</small>`
+        : '';
+      // Estimate accuracy: how far the pre-flight guess was from billed input tokens
+      const delta = row.estimatedInput != null && usage.inputTokens
+        ? Math.round(((row.estimatedInput - usage.inputTokens) / usage.inputTokens) * 100)
+        : null;
+      return `
+        <tr>
+          <td>${new Date(row.time).toLocaleTimeString()}</td>
+          <td>${U.escapeHtml(row.model)}${row.kind === 'translation' ? '<small>translation</small>' : ''}</td>
+          <td>${row.estimatedInput != null ? n(row.estimatedInput) : '-'}${delta != null ? `<small class="${Math.abs(delta) > 25 ? 'ledger-off' : ''}">${delta > 0 ? '+' : ''}${delta}%</small>` : ''}</td>
+          <td>${n(usage.inputTokens)}${inputSplit}</td>
+          <td>${n(usage.outputTokens)}</td>
+          <td>${n(usage.thinkingTokens)}</td>
+          <td>${usd(cost.inputCost)}${costSplit}</td>
+          <td>${usd(cost.outputCost)}</td>
+          <td>${usd(cost.thinkingCost)}</td>
+          <td><strong>${usd(cost.totalCost)}</strong></td>
+          <td>${row.latencyMs != null ? `${n(row.latencyMs)} ms` : '-'}</td>
+        </tr>`;
+    }).join('');
+  }
+
+  recordSkippedFrame() {
+    this.tokenUsage.skippedFrames += 1;
+    this.updateTokenDisplay();
   }
 
   updateTokenDisplay() {
-    const { totalInputTokens, totalOutputTokens, totalInputCost, totalOutputCost } = this.tokenUsage;
-    const totalTokens = totalInputTokens + totalOutputTokens;
-    const totalCostValue = totalInputCost + totalOutputCost;
+    const {
+      totalInputTokens, totalOutputTokens, totalThinkingTokens,
+      totalInputCost, totalOutputCost, totalThinkingCost, requestCount, skippedFrames,
+      translationTokens, translationCost
+    } = this.tokenUsage;
+    const ocrCost = totalInputCost + totalOutputCost + totalThinkingCost;
+    const totalTokens = totalInputTokens + totalOutputTokens + totalThinkingTokens + translationTokens;
+    const totalCostValue = ocrCost + translationCost;
+    // Estimate what skipped frames would have cost at this session's average OCR request
+    const savedCostValue = requestCount ? (ocrCost / requestCount) * skippedFrames : 0;
 
     if (this.el.inputTokens) this.el.inputTokens.textContent = totalInputTokens.toLocaleString();
     if (this.el.outputTokens) this.el.outputTokens.textContent = totalOutputTokens.toLocaleString();
+    if (this.el.thinkingTokens) this.el.thinkingTokens.textContent = totalThinkingTokens.toLocaleString();
+    if (this.el.translationTokens) this.el.translationTokens.textContent = translationTokens.toLocaleString();
     if (this.el.totalTokens) this.el.totalTokens.textContent = totalTokens.toLocaleString();
 
     if (this.el.inputCost) this.el.inputCost.textContent = `$${totalInputCost.toFixed(6)}`;
     if (this.el.outputCost) this.el.outputCost.textContent = `$${totalOutputCost.toFixed(6)}`;
+    if (this.el.thinkingCost) this.el.thinkingCost.textContent = `$${totalThinkingCost.toFixed(6)}`;
+    if (this.el.translationCost) this.el.translationCost.textContent = `$${translationCost.toFixed(6)}`;
     if (this.el.totalCost) this.el.totalCost.textContent = `$${totalCostValue.toFixed(6)}`;
+    if (this.el.skippedFrames) this.el.skippedFrames.textContent = skippedFrames.toLocaleString();
+    if (this.el.savedCost) this.el.savedCost.textContent = `$${savedCostValue.toFixed(6)}`;
   }
 
   resetTokenUsage() {
     this.tokenUsage = {
       totalInputTokens: 0,
       totalOutputTokens: 0,
+      totalThinkingTokens: 0,
       totalInputCost: 0,
       totalOutputCost: 0,
+      totalThinkingCost: 0,
+      translationTokens: 0,
+      translationCost: 0,
+      translationRequests: 0,
+      requestCount: 0,
+      skippedFrames: 0,
       sessionStartTime: Date.now()
     };
+    this.ledger = [];
     this.updateTokenDisplay();
+    this.renderLedger();
+  }
+
+  renderBudgetLimits(limits = {}) {
+    if (this.el.budgetSessionUsd) this.el.budgetSessionUsd.value = limits.sessionUsd || '';
+    if (this.el.budgetSessionRequests) this.el.budgetSessionRequests.value = limits.sessionRequests || '';
+    if (this.el.budgetDailyUsd) this.el.budgetDailyUsd.value = limits.dailyUsd || '';
+    if (this.el.budgetDailyRequests) this.el.budgetDailyRequests.value = limits.dailyRequests || '';
+    if (this.el.budgetSoftPercent) this.el.budgetSoftPercent.value = Math.round((limits.softLimitRatio || 0.8) * 100);
+  }
+
+  // snapshot: BudgetGuard.snapshot(); level: 'ok' | 'soft' | 'hard'
+  renderBudget({ limits, session, daily }, level = 'ok', reason = '') {
+    const box = this.el.budgetUsage;
+    if (!box) return;
+    const usd = (used, limit) => `$${used.toFixed(4)}${limit ? ` / $${Number(limit).toFixed(2)}` : ''}`;
+    const req = (used, limit) => `${used}${limit ? ` / ${limit}` : ''} req`;
+    box.innerHTML = `
+      <div>Session: ${usd(session.usd, limits.sessionUsd)} · ${req(session.requests, limits.sessionRequests)}</div>
+      <div>Today: ${usd(daily.usd, limits.dailyUsd)} · ${req(daily.requests, limits.dailyRequests)}</div>
+      ${reason ? `<div class="budget-reason">${U.escapeHtml(reason)}</div>` : ''}
+    `;
+    box.classList.toggle('is-soft', level === 'soft');
+    box.classList.toggle('is-hard', level === 'hard');
+  }
+
+  renderWebhookSettings(settings = {}) {
+    if (this.el.webhookEnabled) this.el.webhookEnabled.checked = !!settings.enabled;
+    if (this.el.webhookUrl) this.el.webhookUrl.value = settings.url || '';
+    if (this.el.webhookHeaders) this.el.webhookHeaders.value = WebhookSender.formatHeaders(settings.headers);
+    if (this.el.webhookSecret) this.el.webhookSecret.value = settings.secret || '';
+    if (this.el.webhookIncludeImage) this.el.webhookIncludeImage.checked = !!settings.includeImage;
+  }
+
+  // Summary line: on/off + outbox backlog; the last delivery error shows while results wait
+  renderWebhookState(settings = {}, pending = 0, error = '') {
+    const state = this.el.webhookState;
+    if (!state) return;
+    const backlog = pending ? ` · ${pending} waiting` : '';
+    state.textContent = settings.enabled ? `On${backlog}` : `Off${backlog}`;
+    state.title = pending && error ? `Last error: ${error}` : '';
+    state.classList.toggle('is-dirty', pending > 0);
+  }
+
+  // type: 'default' | 'success' | 'error'
+  showWebhookMessage(text, type = 'default') {
+    const box = this.el.webhookMessage;
+    if (!box) return;
+    box.textContent = text;
+    box.classList.toggle('is-success', type === 'success');
+    box.classList.toggle('is-error', type === 'error');
+  }
+
+  renderFrameChecks(checks = {}) {
+    if (this.el.skipUnchanged) this.el.skipUnchanged.checked = !!checks.skipUnchanged;
+    if (this.el.diffThreshold) {
+      this.el.diffThreshold.value = checks.diffThreshold ?? 0.03;
+      this.el.diffThreshold.disabled = !checks.skipUnchanged;
+    }
+    if (this.el.diffThresholdValue) {
+      this.el.diffThresholdValue.textContent = `${((checks.diffThreshold ?? 0.03) * 100).toFixed(1)}%`;
+    }
+    if (this.el.qualityCheck) this.el.qualityCheck.checked = !!checks.qualityCheck;
+    ['minSharpness', 'minBrightness', 'maxBrightness'].forEach(key => {
+      if (this.el[key]) {
+        this.el[key].value = checks[key];
+        this.el[key].disabled = !checks.qualityCheck;
+      }
+      if (this.el[`${key}Value`]) this.el[`${key}Value`].textContent = Math.round(checks[key] ?? 0);
+    });
+  }
+
+  renderPreprocessing(opts = {}) {
+    if (this.el.ppMaxDimension) this.el.ppMaxDimension.value = String(opts.maxDimension || 0);
+    if (this.el.ppGrayscale) this.el.ppGrayscale.checked = !!opts.grayscale;
+    if (this.el.ppContrast) this.el.ppContrast.value = opts.contrast || 'none';
+    if (this.el.ppSharpen) this.el.ppSharpen.checked = !!opts.sharpen;
+    if (this.el.ppRotation) this.el.ppRotation.value = String(opts.rotation || 0);
+  }
+
+  // Copy the frame that will be uploaded into the preview canvas
+  renderPreview(source) {
+    const preview = this.el.preview;
+    if (!preview || !source?.width) return;
+    preview.width = source.width;
+    preview.height = source.height;
+    preview.getContext('2d').drawImage(source, 0, 0);
+    if (this.el.previewInfo) this.el.previewInfo.textContent = `${source.width}×${source.height} sent`;
+  }
+
+  // Live readout of the last measured frame; `problem` is null when the frame passed
+  updateFrameQuality({ sharpness, brightness }, problem = null) {
+    if (!this.el.frameQuality) return;
+    this.el.frameQuality.textContent = `Sharpness: ${Math.round(sharpness)} · Brightness: ${Math.round(brightness)}${problem ? ` · ${problem}` : ''}`;
+    this.el.frameQuality.classList.toggle('is-rejected', !!problem);
   }
 
   getSessionDuration() {
@@ -257,14 +1132,287 @@ class UIManager {
   }
 }
 
+/* ========== Frame Analysis ========== */
+// Cheap pixel math on downscaled grayscale frames; runs before any API call.
+const FrameAnalysis = {
+  _canvas: null,
+
+  // Returns { width, height, data } with one 0-255 luma byte per pixel
+  grayscale(source, maxSide = 32) {
+    const sw = source.width, sh = source.height;
+    if (!sw || !sh) return null;
+    const scale = Math.min(1, maxSide / Math.max(sw, sh));
+    const width = Math.max(1, Math.round(sw * scale));
+    const height = Math.max(1, Math.round(sh * scale));
+
+    if (!this._canvas) this._canvas = document.createElement('canvas');
+    const c = this._canvas;
+    c.width = width;
+    c.height = height;
+    const ctx = c.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, width, height);
+    const rgba = ctx.getImageData(0, 0, width, height).data;
+
+    const data = new Uint8ClampedArray(width * height);
+    for (let i = 0, p = 0; i < data.length; i++, p += 4) {
+      data[i] = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+    }
+    return { width, height, data };
+  },
+
+  // Mean absolute difference in 0..1; 1 when there is nothing to compare against
+  difference(a, b) {
+    if (!a || !b || a.width !== b.width || a.height !== b.height) return 1;
+    let sum = 0;
+    for (let i = 0; i < a.data.length; i++) sum += Math.abs(a.data[i] - b.data[i]);
+    return sum / (a.data.length * 255);
+  },
+
+  // Variance of the 4-neighbour Laplacian; low values mean few edges (blur)
+  laplacianVariance(gray) {
+    if (!gray || gray.width < 3 || gray.height < 3) return 0;
+    const { width: w, height: h, data } = gray;
+    let sum = 0, sumSq = 0, n = 0;
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const i = y * w + x;
+        const lap = data[i - w] + data[i + w] + data[i - 1] + data[i + 1] - 4 * data[i];
+        sum += lap;
+        sumSq += lap * lap;
+        n++;
+      }
+    }
+    const mean = sum / n;
+    return sumSq / n - mean * mean;
+  },
+
+  // Mean luma 0-255
+  meanBrightness(gray) {
+    if (!gray || !gray.data.length) return 0;
+    let sum = 0;
+    for (let i = 0; i < gray.data.length; i++) sum += gray.data[i];
+    return sum / gray.data.length;
+  }
+};
+
+/* ========== Image Processor ========== */
+/**
+ * Preprocessing chain run on the grabbed frame right before upload:
+ * rotate -> resize (maxDimension) -> grayscale -> contrast stretch | adaptive threshold -> sharpen.
+ * Options: GeminiConfig.preprocessing
+ */
+const ImageProcessor = {
+  // True when the options would leave the frame untouched
+  isIdentity(opts = {}, width = 0, height = 0) {
+    const max = opts.maxDimension || 0;
+    return !opts.grayscale && (!opts.contrast || opts.contrast === 'none') && !opts.sharpen
+      && !(opts.rotation % 360) && !(max && Math.max(width, height) > max);
+  },
+
+  process(source, opts = {}, out) {
+    const rotation = ((opts.rotation || 0) % 360 + 360) % 360;
+    const turned = rotation === 90 || rotation === 270;
+    const srcW = turned ? source.height : source.width;
+    const srcH = turned ? source.width : source.height;
+    const max = opts.maxDimension || 0;
+    const scale = max ? Math.min(1, max / Math.max(srcW, srcH)) : 1;
+
+    out.width = Math.max(1, Math.round(srcW * scale));
+    out.height = Math.max(1, Math.round(srcH * scale));
+    const ctx = out.getContext('2d', { willReadFrequently: true });
+    ctx.save();
+    ctx.translate(out.width / 2, out.height / 2);
+    ctx.rotate(rotation * Math.PI / 180);
+    const dw = (turned ? out.height : out.width), dh = (turned ? out.width : out.height);
+    ctx.drawImage(source, -dw / 2, -dh / 2, dw, dh);
+    ctx.restore();
+
+    const contrast = opts.contrast || 'none';
+    if (!opts.grayscale && contrast === 'none' && !opts.sharpen) return out;
+
+    const img = ctx.getImageData(0, 0, out.width, out.height);
+    // Contrast/threshold work on luma, so they imply grayscale
+    if (opts.grayscale || contrast !== 'none') this.toGray(img);
+    if (contrast === 'stretch') this.stretch(img);
+    if (contrast === 'threshold') this.adaptiveThreshold(img);
+    if (opts.sharpen) this.sharpen(img);
+    ctx.putImageData(img, 0, 0);
+    return out;
+  },
+
+  toGray(img) {
+    const d = img.data;
+    for (let p = 0; p < d.length; p += 4) {
+      const y = 0.299 * d[p] + 0.587 * d[p + 1] + 0.114 * d[p + 2];
+      d[p] = d[p + 1] = d[p + 2] = y;
+    }
+  },
+
+  // Map the 1st..99th luma percentile onto 0..255 (gray input)
+  stretch(img) {
+    const d = img.data;
+    const hist = new Uint32Array(256);
+    for (let p = 0; p < d.length; p += 4) hist[d[p]]++;
+    const total = d.length / 4;
+    let lo = 0, hi = 255, acc = 0;
+    for (let v = 0; v < 256; v++) { acc += hist[v]; if (acc >= total * 0.01) { lo = v; break; } }
+    acc = 0;
+    for (let v = 255; v >= 0; v--) { acc += hist[v]; if (acc >= total * 0.01) { hi = v; break; } }
+    if (hi <= lo) return;
+    const k = 255 / (hi - lo);
+    for (let p = 0; p < d.length; p += 4) {
+      d[p] = d[p + 1] = d[p + 2] = (d[p] - lo) * k;
+    }
+  },
+
+  // Mean-C threshold over a local window (integral image); good for uneven thermal paper
+  adaptiveThreshold(img, c = 7) {
+    const { width: w, height: h, data: d } = img;
+    const radius = Math.max(7, Math.round(Math.min(w, h) / 32));
+    const integral = new Float64Array((w + 1) * (h + 1));
+    for (let y = 0; y < h; y++) {
+      let row = 0;
+      for (let x = 0; x < w; x++) {
+        row += d[(y * w + x) * 4];
+        integral[(y + 1) * (w + 1) + x + 1] = integral[y * (w + 1) + x + 1] + row;
+      }
+    }
+    for (let y = 0; y < h; y++) {
+      const y0 = Math.max(0, y - radius), y1 = Math.min(h, y + radius + 1);
+      for (let x = 0; x < w; x++) {
+        const x0 = Math.max(0, x - radius), x1 = Math.min(w, x + radius + 1);
+        const sum = integral[y1 * (w + 1) + x1] - integral[y0 * (w + 1) + x1]
+          - integral[y1 * (w + 1) + x0] + integral[y0 * (w + 1) + x0];
+        const mean = sum / ((x1 - x0) * (y1 - y0));
+        const p = (y * w + x) * 4;
+        d[p] = d[p + 1] = d[p + 2] = d[p] > mean - c ? 255 : 0;
+      }
+    }
+  },
+
+  // 3x3 sharpen kernel [0 -1 0; -1 5 -1; 0 -1 0]
+  sharpen(img) {
+    const { width: w, height: h, data: d } = img;
+    const src = new Uint8ClampedArray(d);
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const p = (y * w + x) * 4;
+        for (let ch = 0; ch < 3; ch++) {
+          const i = p + ch;
+          d[i] = 5 * src[i] - src[i - 4] - src[i + 4] - src[i - w * 4] - src[i + w * 4];
+        }
+      }
+    }
+  }
+};
+
+/* ========== Text Regions ========== */
+/**
+ * Overlay replies -> boxes in video-frame space.
+ * box_2d is [ymin, xmin, ymax, xmax] in 0-1000 of the image that was sent, i.e. after the
+ * region-of-interest crop and the preprocessing rotation; both are undone here so the box
+ * lands on the right spot of the full frame ({ x, y, w, h } normalized, like the ROI).
+ */
+const TextRegions = {
+  // Valid regions only: non-empty text and four finite coordinates
+  parse(data) {
+    return (Array.isArray(data?.regions) ? data.regions : [])
+      .filter(r => typeof r?.text === 'string' && r.text.trim() && Array.isArray(r.box_2d) && r.box_2d.length === 4 && r.box_2d.every(Number.isFinite));
+  },
+
+  // Point in the rotated upload (u, v in 0..1) -> point before the clockwise rotation
+  unrotate(u, v, rotation) {
+    switch (((rotation || 0) % 360 + 360) % 360) {
+      case 90: return { x: v, y: 1 - u };
+      case 180: return { x: 1 - u, y: 1 - v };
+      case 270: return { x: 1 - v, y: u };
+      default: return { x: u, y: v };
+    }
+  },
+
+  // crop: the ROI used for this frame (null = full frame); rotation: preprocessing rotation
+  toFrame(box, { crop = null, rotation = 0 } = {}) {
+    const clamp = v => Math.min(1, Math.max(0, v / 1000));
+    const [ymin, xmin, ymax, xmax] = box.map(clamp);
+    const a = this.unrotate(xmin, ymin, rotation);
+    const b = this.unrotate(xmax, ymax, rotation);
+    const c = crop || { x: 0, y: 0, w: 1, h: 1 };
+    return {
+      x: c.x + Math.min(a.x, b.x) * c.w,
+      y: c.y + Math.min(a.y, b.y) * c.h,
+      w: Math.abs(b.x - a.x) * c.w,
+      h: Math.abs(b.y - a.y) * c.h
+    };
+  }
+};
+
 /* ========== Camera Manager ========== */
 class CameraManager {
   constructor(ui) {
     this.ui = ui;
     this.stream = null;
+    this.file = null; // { name, url } while a recorded video plays in #cameraFeed instead of the camera
+    this.screen = false; // true while the stream comes from getDisplayMedia
+    this.mirrored = false; // front camera shown as a mirror; element <-> frame mappings flip x
+    this.onEnded = null; // (wasScreen) => void when the stream ends outside the app (browser "Stop sharing", unplugged camera)
     this.currentFacing = U.isMobile() ? 'environment' : 'user';
     this.currentDeviceId = null;
     this._devicesCache = null;
+    this.roi = this.loadRoi(); // { x, y, w, h } normalized to the video frame, or null
+  }
+
+  loadRoi() {
+    try {
+      const roi = JSON.parse(localStorage.getItem('ocr_roi') || 'null');
+      if (roi && [roi.x, roi.y, roi.w, roi.h].every(n => typeof n === 'number') && roi.w > 0 && roi.h > 0) return roi;
+    } catch { /* ignore corrupt value */ }
+    return null;
+  }
+
+  setRoi(roi) {
+    this.roi = roi;
+    try {
+      if (roi) localStorage.setItem('ocr_roi', JSON.stringify(roi));
+      else localStorage.removeItem('ocr_roi');
+    } catch { /* storage full or disabled */ }
+  }
+
+  /**
+   * Where the video frame is painted inside the <video> element, honoring object-fit.
+   * Returns { left, top, width, height } in element pixels (may exceed the element for cover).
+   * The rect is centered, so a mirrored preview occupies the same rect.
+   */
+  getDisplayRect() {
+    const video = this.ui.el.video;
+    const cw = video.clientWidth, ch = video.clientHeight;
+    const vw = video.videoWidth, vh = video.videoHeight;
+    if (!cw || !ch || !vw || !vh) return null;
+    const fit = getComputedStyle(video).objectFit || 'fill';
+    if (fit === 'fill') return { left: 0, top: 0, width: cw, height: ch };
+    const scale = fit === 'cover' ? Math.max(cw / vw, ch / vh) : Math.min(cw / vw, ch / vh);
+    const width = vw * scale, height = vh * scale;
+    return { left: (cw - width) / 2, top: (ch - height) / 2, width, height };
+  }
+
+  // Element pixel point -> normalized frame point (clamped to the frame)
+  elementToFrame(px, py) {
+    const r = this.getDisplayRect();
+    if (!r) return null;
+    const clamp = v => Math.min(1, Math.max(0, v));
+    const x = clamp((px - r.left) / r.width);
+    return { x: this.mirrored ? 1 - x : x, y: clamp((py - r.top) / r.height) };
+  }
+
+  // Normalized frame rect -> element pixel rect
+  frameToElement(rect) {
+    const r = this.getDisplayRect();
+    if (!r || !rect) return null;
+    return {
+      left: r.left + (this.mirrored ? 1 - rect.x - rect.w : rect.x) * r.width,
+      top: r.top + rect.y * r.height,
+      width: rect.w * r.width,
+      height: rect.h * r.height
+    };
   }
 
   async start(options = {}) {
@@ -273,7 +1421,7 @@ class CameraManager {
     if (this.stream) return;
 
     if (!navigator.mediaDevices?.getUserMedia) {
-      throw new Error('Camera not supported in this browser');
+      throw new CameraError('Camera not supported in this browser');
     }
 
     const preferredFacing = options.facing || this.currentFacing || (U.isMobile() ? 'environment' : 'user');
@@ -293,11 +1441,61 @@ class CameraManager {
       constraints.video.facingMode = { ideal: preferredFacing };
     }
 
-    this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-    this.ui.el.video.srcObject = this.stream;
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+    } catch (e) {
+      throw CameraError.from(e);
+    }
+    // Remember what we used
+    this.currentFacing = preferredFacing;
+    this.currentDeviceId = options.deviceId || null;
+    await this.attachStream('Camera active');
+  }
+
+  // Share a screen, window or tab; the capture loops read it like a camera
+  async startScreen() {
+    if (!navigator.mediaDevices?.getDisplayMedia) {
+      throw new CameraError('Screen capture not supported in this browser');
+    }
+    this.ui.setStatus('Choose what to share...', 'warning');
+    // Keep the current source until the picker returns a stream; cancelling leaves it running
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getDisplayMedia({
+        video: { frameRate: { ideal: 5, max: 15 } }, // text changes slowly; spare the encoder
+        audio: false
+      });
+    } catch (e) {
+      const err = CameraError.from(e);
+      if (err.reason === 'NotAllowedError') err.message = 'Screen sharing cancelled';
+      throw err;
+    }
+    this.stop();
+    this.stream = stream;
+    this.screen = true;
+    await this.attachStream('Sharing screen');
+  }
+
+  isScreen() { return this.screen; }
+
+  setMirrored(on) {
+    this.mirrored = on;
+    this.ui.el.cameraContainer?.classList.toggle('mirrored', on);
+  }
+
+  // Show this.stream in #cameraFeed, wait until frames arrive, then update the UI
+  async attachStream(statusText) {
+    const stream = this.stream;
+    stream.getVideoTracks()[0]?.addEventListener('ended', () => {
+      if (this.stream !== stream) return; // replaced or stopped by the app
+      const wasScreen = this.screen;
+      this.stop();
+      this.onEnded?.(wasScreen);
+    });
+    this.ui.el.video.srcObject = stream;
 
     await new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => reject(new Error('Camera startup timeout')), 10000);
+      const timeout = setTimeout(() => reject(new CameraError('Camera startup timeout')), 10000);
       const onReady = () => { clearTimeout(timeout); resolve(); };
       if (this.ui.el.video.readyState >= 2) onReady();
       else {
@@ -310,17 +1508,18 @@ class CameraManager {
       }
     });
 
-    // Remember what we used
-    this.currentFacing = preferredFacing;
-    this.currentDeviceId = options.deviceId || null;
+    // Opt-in: mirror the user-facing camera only; screens and rear cameras read normally
+    const facing = stream.getVideoTracks()[0]?.getSettings?.().facingMode || this.currentFacing;
+    this.setMirrored(!this.screen && facing === 'user' && window.GeminiConfig?.mirrorFrontCamera === true);
 
     // Resize canvas
     this.ui.el.canvas.width = this.ui.el.video.videoWidth;
     this.ui.el.canvas.height = this.ui.el.video.videoHeight;
 
-    this.ui.setStatus('Camera active', 'success');
+    this.ui.setStatus(statusText, 'success');
     this.ui.setButtons(true);
     this.ui.showTokenUsageSection(); // Show token usage when camera starts
+    this.ui.renderRoi(this.frameToElement(this.roi));
     this.ui.updateDebug({
       streamActive: true,
       videoWidth: this.ui.el.video.videoWidth,
@@ -328,19 +1527,74 @@ class CameraManager {
     });
   }
 
+  // Play a local video file in #cameraFeed; grabFrame() then reads from it like a camera
+  async startFile(file) {
+    this.stop();
+    const video = this.ui.el.video;
+    const url = URL.createObjectURL(file);
+    this.file = { name: file.name, url };
+    video.srcObject = null;
+    video.src = url;
+    video.pause();
+
+    try {
+      await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new CameraError(`Could not load ${file.name}`)), 10000);
+        video.onloadeddata = () => { clearTimeout(timeout); resolve(); };
+        video.onerror = () => { clearTimeout(timeout); reject(new CameraError(`Unsupported video: ${file.name}`)); };
+      });
+    } catch (e) {
+      this.stop();
+      throw e;
+    }
+
+    this.ui.setStatus(`Video loaded: ${file.name}`, 'success');
+    this.ui.setButtons(true, true);
+    this.ui.showTokenUsageSection();
+    this.ui.renderRoi(this.frameToElement(this.roi));
+  }
+
+  isFile() { return !!this.file; }
+
+  // Seek the video file and wait until the frame at `time` (seconds) can be drawn
+  seek(time) {
+    const video = this.ui.el.video;
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timeout);
+        video.removeEventListener('seeked', done);
+        resolve();
+      };
+      const timeout = setTimeout(done, 3000); // never hang the scan on a bad seek
+      video.addEventListener('seeked', done);
+      video.currentTime = time;
+    });
+  }
+
   stop() {
     if (this.stream) {
       this.stream.getTracks().forEach(t => t.stop());
       this.stream = null;
     }
+    this.screen = false;
+    this.setMirrored(false);
+    if (this.file) {
+      const video = this.ui.el.video;
+      video.pause();
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(this.file.url);
+      this.file = null;
+    }
     this.ui.setStatus('Camera stopped', 'warning');
     this.ui.setButtons(false);
     this.ui.hideOverlay();
     this.ui.hideTokenUsageSection(); // Hide token usage when camera stops
+    this.ui.renderRoi(null);
     this.ui.updateDebug({ streamActive: false, videoWidth: 0, videoHeight: 0 });
   }
 
-  isActive() { return !!this.stream; }
+  isActive() { return !!this.stream || !!this.file; }
 
   async enumerateVideoDevices(force = false) {
     if (this._devicesCache && !force) return this._devicesCache;
@@ -370,6 +1624,12 @@ class CameraManager {
   }
 
   async toggleFacing() {
+    // From a shared screen or a video file, Toggle goes back to the last camera
+    if (this.screen || this.file) {
+      this.stop();
+      await this.start({ deviceId: this.currentDeviceId || undefined, facing: this.currentFacing });
+      return;
+    }
     const target = this.currentFacing === 'environment' ? 'user' : 'environment';
     const deviceId = await this.pickDeviceIdByFacing(target);
 
@@ -379,23 +1639,305 @@ class CameraManager {
     this.currentDeviceId = deviceId || null;
   }
 
+  // Draw a still image (file / paste / drop) onto #captureCanvas, uncropped
+  grabImage(image) {
+    const canvas = this.ui.el.canvas;
+    canvas.width = image.naturalWidth || image.width;
+    canvas.height = image.naturalHeight || image.height;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return canvas.width > 0 && canvas.height > 0;
+  }
+
+  // Draw the current video frame onto #captureCanvas; false when no stream
+  // Only the region of interest is drawn when one is set
+  grabFrame() {
+    if (!this.isActive()) return false;
+    const video = this.ui.el.video;
+    const canvas = this.ui.el.canvas;
+    const vw = video.videoWidth, vh = video.videoHeight;
+    const src = this.roi
+      ? { x: Math.round(this.roi.x * vw), y: Math.round(this.roi.y * vh), w: Math.max(1, Math.round(this.roi.w * vw)), h: Math.max(1, Math.round(this.roi.h * vh)) }
+      : { x: 0, y: 0, w: vw, h: vh };
+
+    // Resizing clears the canvas, so only do it when the crop size changes
+    if (canvas.width !== src.w) canvas.width = src.w;
+    if (canvas.height !== src.h) canvas.height = src.h;
+    canvas.getContext('2d').drawImage(video, src.x, src.y, src.w, src.h, 0, 0, src.w, src.h);
+    return true;
+  }
+
+  // Run the preprocessing chain on the last grabbed frame; returns the canvas to upload
+  processFrame() {
+    const raw = this.ui.el.canvas;
+    const opts = window.GeminiConfig?.preprocessing || {};
+    const out = ImageProcessor.isIdentity(opts, raw.width, raw.height)
+      ? raw
+      : ImageProcessor.process(raw, opts, this._processed || (this._processed = document.createElement('canvas')));
+    this.ui.renderPreview(out);
+    return out;
+  }
+
+  // Encode whatever grabFrame() last drew, after preprocessing
+  encodeJpeg(quality = 0.8) {
+    return this.processFrame().toDataURL('image/jpeg', quality);
+  }
+
   captureJpeg(quality = 0.8) {
-    if (!this.isActive()) return null;
-    const ctx = this.ui.el.canvas.getContext('2d');
-    ctx.drawImage(this.ui.el.video, 0, 0, this.ui.el.canvas.width, this.ui.el.canvas.height);
-    return this.ui.el.canvas.toDataURL('image/jpeg', quality);
+    if (!this.grabFrame()) return null;
+    return this.encodeJpeg(quality);
+  }
+
+  // Small grayscale copy of the last grabbed frame (for local checks)
+  grayThumbnail(maxSide = 32) {
+    return FrameAnalysis.grayscale(this.ui.el.canvas, maxSide);
+  }
+
+  // Small JPEG of the last grabbed frame for history entries
+  thumbnailDataUrl(maxSide = 160) {
+    const src = this.ui.el.canvas;
+    if (!src.width || !src.height) return null;
+    const scale = Math.min(1, maxSide / Math.max(src.width, src.height));
+    const c = document.createElement('canvas');
+    c.width = Math.round(src.width * scale);
+    c.height = Math.round(src.height * scale);
+    c.getContext('2d').drawImage(src, 0, 0, c.width, c.height);
+    return c.toDataURL('image/jpeg', 0.6);
+  }
+
+  // Sharpness (Laplacian variance) and mean brightness of the last grabbed frame
+  measureQuality(sampleSize = 160) {
+    const gray = this.grayThumbnail(sampleSize);
+    return {
+      sharpness: FrameAnalysis.laplacianVariance(gray),
+      brightness: FrameAnalysis.meanBrightness(gray)
+    };
   }
 }
 
+/* ========== OCR Providers ========== */
+/**
+ * Provider = how one backend is called. Picked per model entry via `provider`
+ * in GeminiConfig.models (default 'gemini'). Add your own with
+ * `OCRProviders.myServer = { ... }` before the app boots.
+ *
+ * Shape:
+ * - requiresApiKey: use the Gemini key lookup/prompt (else `model.apiKey`, optional)
+ * - buildUrl(model, apiKey, { stream }) / buildHeaders(model, apiKey)
+ * - buildBody(imageBase64, promptText, model, { schema }): JSON request body;
+ *   `schema` (optional) asks for JSON output matching a responseSchema;
+ *   `imageBase64` is null for text-only requests (translation)
+ * - parseResponse(json): { text, inputTokens, outputTokens, thinkingTokens, inputByModality, finish, blockReason }
+ *   finish: 'stop' | 'length' (hit maxOutputTokens) | 'safety' (blocked) | 'empty' (no candidate) | null (unknown)
+ * - errorMessage(json): readable message from an error body (or '')
+ * - parseStreamEvent(json) (optional): same shape as parseResponse for one SSE
+ *   `data:` event, `text` being the new fragment. Providers without it never stream.
+ */
+const OCRProviders = {
+  // Google Generative Language API (contents/inline_data)
+  gemini: {
+    requiresApiKey: true,
+    buildUrl(model, apiKey, options = {}) {
+      const base = (model.baseUrl || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, '');
+      if (options.stream) return `${base}/models/${model.name}:streamGenerateContent?alt=sse&key=${apiKey}`;
+      // Non-streaming path parses a single JSON body, so never hit a stream endpoint here
+      const rawEndpoint = model.apiEndpoint || 'generateContent';
+      const endpoint = /stream/i.test(rawEndpoint) ? 'generateContent' : rawEndpoint;
+      return `${base}/models/${model.name}:${endpoint}?key=${apiKey}`;
+    },
+    buildHeaders() {
+      return { 'Content-Type': 'application/json' };
+    },
+    buildBody(imageBase64, promptText, model, options = {}) {
+      const generationConfig = {
+        temperature: model.temperature ?? 0.1,
+        maxOutputTokens: model.maxOutputTokens ?? 1024,
+        topP: model.topP ?? 0.8,
+        topK: model.topK ?? 40
+      };
+
+      if (model.thinkingConfig) {
+        generationConfig.thinkingConfig = model.thinkingConfig;
+      }
+
+      if (options.schema) {
+        generationConfig.responseMimeType = 'application/json';
+        generationConfig.responseSchema = options.schema;
+      }
+
+      return {
+        contents: [{
+          role: 'user',
+          // Text-only follow-ups (translation) send no image
+          parts: imageBase64
+            ? [{ text: promptText }, { inline_data: { mime_type: 'image/jpeg', data: imageBase64 } }]
+            : [{ text: promptText }]
+        }],
+        generationConfig: generationConfig
+      };
+    },
+    finishOf(reason) {
+      if (!reason) return null;
+      if (reason === 'MAX_TOKENS') return 'length';
+      if (['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'].includes(reason)) return 'safety';
+      return 'stop';
+    },
+    // Reply text is every non-thought part joined; long or JSON replies can span several
+    joinParts(parts = []) {
+      return parts.filter(p => !p?.thought).map(p => (typeof p === 'string' ? p : p?.text || '')).join('');
+    },
+    parseResponse(json) {
+      const candidate = json?.candidates?.[0];
+      const blockReason = json?.promptFeedback?.blockReason || null;
+      const text = this.joinParts(candidate?.content?.parts);
+      const usage = json?.usageMetadata || {};
+      // promptTokensDetails: [{ modality: 'IMAGE', tokenCount }, { modality: 'TEXT', tokenCount }]
+      const inputByModality = {};
+      (usage.promptTokensDetails || []).forEach(d => {
+        if (d?.modality) inputByModality[String(d.modality).toLowerCase()] = d.tokenCount || 0;
+      });
+      return {
+        text,
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || usage.responseTokenCount || 0,
+        thinkingTokens: usage.thoughtsTokenCount || 0,
+        inputByModality,
+        finish: blockReason ? 'safety' : candidate ? this.finishOf(candidate.finishReason) : 'empty',
+        blockReason: blockReason || (this.finishOf(candidate?.finishReason) === 'safety' ? candidate.finishReason : null)
+      };
+    },
+    // Each SSE event is a partial GenerateContentResponse; usageMetadata is complete on the last one
+    parseStreamEvent(json) {
+      const parsed = this.parseResponse(json);
+      parsed.hasUsage = !!json?.usageMetadata;
+      return parsed;
+    },
+    errorMessage(json) {
+      return json?.error?.message || '';
+    }
+  },
+
+  // OpenAI-compatible chat-completions vision endpoint (vLLM, Ollama, LM Studio, ...)
+  openai: {
+    requiresApiKey: false,
+    buildUrl(model) {
+      const base = (model.baseUrl || 'http://localhost:8000/v1').replace(/\/+$/, '');
+      return `${base}/chat/completions`;
+    },
+    buildHeaders(model, apiKey) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      return headers;
+    },
+    buildBody(imageBase64, promptText, model, options = {}) {
+      const body = {
+        model: model.remoteModel || model.name,
+        temperature: model.temperature ?? 0.1,
+        max_tokens: model.maxOutputTokens ?? 1024,
+        top_p: model.topP ?? 0.8,
+        messages: [{
+          role: 'user',
+          content: imageBase64
+            ? [{ type: 'text', text: promptText }, { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${imageBase64}` } }]
+            : [{ type: 'text', text: promptText }]
+        }]
+      };
+      if (options.schema) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'extraction', schema: this.toJsonSchema(options.schema) }
+        };
+      }
+      return body;
+    },
+    // responseSchema (OBJECT/STRING, nullable) -> JSON Schema (object/string, type: [t, 'null'])
+    toJsonSchema(schema) {
+      if (!schema || typeof schema !== 'object') return schema;
+      const { type, nullable, properties, items, ...rest } = schema;
+      const out = { ...rest };
+      if (type) out.type = nullable ? [String(type).toLowerCase(), 'null'] : String(type).toLowerCase();
+      if (properties) {
+        out.properties = Object.fromEntries(Object.entries(properties).map(([k, v]) => [k, this.toJsonSchema(v)]));
+      }
+      if (items) out.items = this.toJsonSchema(items);
+      return out;
+    },
+    parseResponse(json) {
+      const choice = json?.choices?.[0];
+      const content = choice?.message?.content;
+      // Some servers return content as an array of typed parts
+      const text = Array.isArray(content)
+        ? content.map(p => (typeof p === 'string' ? p : p?.text || '')).join('')
+        : (content || '');
+      const usage = json?.usage || {};
+      // Reasoning tokens are included in completion_tokens here; report them separately
+      const thinkingTokens = usage.completion_tokens_details?.reasoning_tokens || 0;
+      return {
+        text,
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: Math.max(0, (usage.completion_tokens || 0) - thinkingTokens),
+        thinkingTokens,
+        inputByModality: {},
+        finish: !choice ? 'empty'
+          : choice.finish_reason === 'length' ? 'length'
+          : choice.finish_reason === 'content_filter' ? 'safety'
+          : 'stop',
+        blockReason: choice?.finish_reason === 'content_filter' ? 'content_filter' : null
+      };
+    },
+    errorMessage(json) {
+      const err = json?.error;
+      return (typeof err === 'string' ? err : err?.message) || '';
+    }
+  },
+
+  // Plain local OCR server: POST { image, mimeType, prompt, model } -> { text, usage? }
+  http: {
+    requiresApiKey: false,
+    buildUrl(model) {
+      return model.baseUrl || 'http://localhost:8080/ocr';
+    },
+    buildHeaders(model, apiKey) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      return headers;
+    },
+    buildBody(imageBase64, promptText, model, options = {}) {
+      return {
+        ...(imageBase64 ? { image: imageBase64, mimeType: 'image/jpeg' } : {}),
+        prompt: promptText,
+        model: model.remoteModel || model.name,
+        ...(options.schema ? { schema: options.schema } : {})
+      };
+    },
+    parseResponse(json) {
+      return {
+        text: typeof json?.text === 'string' ? json.text : '',
+        inputTokens: json?.usage?.inputTokens || 0,
+        outputTokens: json?.usage?.outputTokens || 0,
+        thinkingTokens: json?.usage?.thinkingTokens || 0,
+        inputByModality: {},
+        finish: typeof json?.text === 'string' ? (json.finish || 'stop') : 'empty',
+        blockReason: null
+      };
+    },
+    errorMessage(json) {
+      const err = json?.error;
+      return (typeof err === 'string' ? err : err?.message) || json?.message || '';
+    }
+  }
+};
+
 /* ========== OCR Service ========== */
 class OCRService {
   constructor(getApiKey) {
     this.getApiKey = getApiKey;
+    this.limiter = new RateLimiter(window.GeminiConfig?.rateLimit);
+    this.modelKey = ''; // key in GeminiConfig.models, kept in sync by App (model select / setModel)
   }
 
   getModel() {
     const cfg = window.GeminiConfig || {};
-    const selected = document.getElementById('modelSelect')?.value || cfg.defaultModel;
+    const selected = this.modelKey || cfg.defaultModel;
     let model = cfg.models?.[selected];
     if (!model && cfg.defaultModel) model = cfg.models?.[cfg.defaultModel];
     if (!model) {
@@ -405,28 +1947,26 @@ class OCRService {
     return model || null;
   }
 
-  buildRequest(imageBase64, promptText, model) {
-    const generationConfig = {
-      temperature: model.temperature ?? 0.1,
-      maxOutputTokens: model.maxOutputTokens ?? 1024,
-      topP: model.topP ?? 0.8,
-      topK: model.topK ?? 40
-    };
+  getProvider(model) {
+    const name = model?.provider || 'gemini';
+    const provider = OCRProviders[name];
+    if (!provider) throw new OCRError('request', `Unknown OCR provider: ${name}`);
+    return provider;
+  }
 
-    if (model.thinkingConfig) {
-      generationConfig.thinkingConfig = model.thinkingConfig;
-    }
+  // GeminiConfig.overlay in template shape ({ label, prompt, schema }), or null when not configured
+  getOverlayTemplate() {
+    const overlay = window.GeminiConfig?.overlay;
+    return overlay?.prompt && overlay?.schema ? overlay : null;
+  }
 
-    return {
-      contents: [{
-        role: 'user',
-        parts: [
-          { text: promptText },
-          { inline_data: { mime_type: 'image/jpeg', data: imageBase64 } }
-        ]
-      }],
-      generationConfig: generationConfig
-    };
+  // Extraction template from GeminiConfig.templates, or null for plain text
+  getTemplate(key) {
+    return (key && window.GeminiConfig?.templates?.[key]) || null;
+  }
+
+  buildRequest(imageBase64, promptText, model, options = {}) {
+    return this.getProvider(model).buildBody(imageBase64, promptText, model, options);
   }
 
   parseTextValue(value) {
@@ -439,284 +1979,2660 @@ class OCRService {
     return value;
   }
 
-  async request(imageBase64) {
-    const apiKey = this.getApiKey();
-    if (!apiKey) throw new Error('Gemini API key not found. Please set GEMINI_API_KEY or enter when prompted.');
+  // HTTP error -> typed error; Gemini reports a bad key as 400 with reason API_KEY_INVALID
+  errorFromResponse(status, body, provider, response, retryAfterMs) {
+    const detail = provider.errorMessage(body) || response.statusText || 'Unknown error';
+    const message = `API error (${status}): ${detail}`;
+    const reasons = (Array.isArray(body?.error?.details) ? body.error.details : []).map(d => d?.reason);
+    const info = { status, retryAfterMs };
+    if (status === 401 || status === 403 || reasons.includes('API_KEY_INVALID') || /api key/i.test(detail)) {
+      return new AuthError(message, { ...info, rejected: true });
+    }
+    if (status === 429) return new QuotaError(message, info);
+    if (status >= 500) return new ServerError(message, info);
+    return new OCRError('request', message, info);
+  }
+
+  // google.rpc.RetryInfo { retryDelay: '17s' } from the error details, else a Retry-After header (ms or null)
+  retryDelayFrom(body, response) {
+    const details = Array.isArray(body?.error?.details) ? body.error.details : [];
+    const info = details.find(d => String(d?.['@type'] || '').endsWith('google.rpc.RetryInfo'));
+    const match = /^(\d+(?:\.\d+)?)s$/.exec(String(info?.retryDelay || ''));
+    if (match) return Math.ceil(parseFloat(match[1]) * 1000);
+    const header = Number(response?.headers?.get?.('Retry-After'));
+    return header > 0 ? header * 1000 : null;
+  }
+
+  /**
+   * Read a text/event-stream body and call onData(json) for every `data:` event.
+   * Returns the last parsed event (null if none).
+   */
+  async readEventStream(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let last = null;
+
+    const flush = (block) => {
+      const data = block.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (!data || data === '[DONE]') return;
+      let json;
+      try { json = JSON.parse(data); } catch { return; } // skip keep-alives / partial junk
+      last = json;
+      onData(json);
+    };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(flush);
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) flush(buffer);
+    return last;
+  }
 
+  /**
+   * options.template: entry from GeminiConfig.templates -> JSON output, validated.
+   * options.onPartial(text): called with the text so far while a streamed reply arrives.
+   * options.signal: AbortSignal; when it fires, the request rejects with `signal.reason`.
+   * options.onWait(ms): called while the rate limiter holds the request back.
+   * options.onAcquired(): called each time the rate limiter lets an attempt through.
+   * options.prompt: replaces the extraction prompt; with a null image this is a text-only request.
+   * options.profile: PromptProfiles entry; its prompt is used for plain text, its params for every request.
+   * API errors carry `status` and, for 429/503, `retryAfterMs`.
+   * Resolves { text, data, errors, meta, tokenUsage, estimate, latencyMs, modelName }; `data` is set only for valid template replies.
+   * modelName is the model the request went to, even if the selection changed since.
+   */
+  async request(imageBase64, options = {}) {
+    const startedAt = performance.now();
     const model = this.getModel();
-    if (!model) throw new Error('No valid model configuration found.');
+    if (!model) throw new OCRError('request', 'No valid model configuration found.');
+
+    const provider = this.getProvider(model);
+    // Only providers that need a key trigger the Gemini key lookup/prompt
+    const apiKey = provider.requiresApiKey ? this.getApiKey() : (model.apiKey || null);
+    if (provider.requiresApiKey && !apiKey) throw new AuthError('Gemini API key not found. Please set GEMINI_API_KEY or enter when prompted.');
 
     const CFG = window.GeminiConfig || {};
-    const promptText =
+    const template = options.template || null;
+    const profile = options.profile || null;
+    const promptText = options.prompt || template?.prompt || (profile?.prompt && profile.prompt.trim()) ||
       (CFG.prompts?.textOnly && String(CFG.prompts.textOnly).trim()) ||
       'Extract ONLY the visible text from the image. Respond with TEXT ONLY, no JSON, no markdown, no code fences, no explanations.';
 
-    const req = this.buildRequest(imageBase64, promptText, model);
-    const rawEndpoint = model.apiEndpoint || 'generateContent';
-    const endpoint = /stream/i.test(rawEndpoint) ? 'generateContent' : rawEndpoint; // 强制非流式
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model.name}:${endpoint}?key=${apiKey}`;
+    // Profile params (temperature, maxOutputTokens, ...) override the model entry for this request only
+    const tuned = profile?.params ? { ...model, ...profile.params } : model;
+    const req = provider.buildBody(imageBase64, promptText, tuned, { schema: template?.schema });
+    // Pre-flight estimate, compared with actual usage in the ledger
+    const estimate = {
+      inputTokens: (imageBase64 ? CFG.tokenEstimation?.estimateImageTokens(imageBase64) || 0 : 0) + (CFG.tokenEstimation?.estimateTextTokens(promptText) || 0)
+    };
+    // Stream plain-text replies only; partial JSON from templates is not worth rendering
+    const stream = !template && !!imageBase64 && !!model.supportsStreaming && typeof provider.parseStreamEvent === 'function';
+    const url = provider.buildUrl(model, apiKey, { stream });
+    const headers = provider.buildHeaders(model, apiKey);
 
     const maxRetries = CFG.rateLimit?.maxRetries ?? 1;
     const baseDelay = CFG.rateLimit?.retryDelay ?? 5000;
     const backoff = CFG.rateLimit?.backoffMultiplier ?? 1;
 
+    const signal = options.signal;
+    // Report an abort (timeout / cancel) as itself, not as a network failure
+    const abortReason = () => (signal.reason instanceof OCRError ? signal.reason : new CancelledError());
+
     let attempt = 0;
     let response;
     let lastError = null;
 
     while (attempt <= maxRetries) {
+      try {
+        await this.limiter.acquire(model.name, estimate.inputTokens, { signal, onWait: options.onWait });
+      } catch {
+        throw abortReason();
+      }
+      options.onAcquired?.();
+
       try {
         response = await fetch(url, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(req)
+          headers,
+          body: JSON.stringify(req),
+          signal
         });
         if (response.ok) break;
       } catch (e) {
-        throw new Error(`Network error: ${e.message}`);
+        if (signal?.aborted) throw abortReason();
+        throw new NetworkError(`Network error: ${e.message}`, { cause: e });
       }
 
       try { lastError = await response.json(); } catch { lastError = null; }
 
-      if ((response.status === 429 || response.status === 500) && attempt < maxRetries) {
-        const waitMs = Math.round(baseDelay * Math.pow(backoff, attempt));
-        await U.sleep(waitMs);
+      const status = response.status;
+      // Quota / overload: the server says how long to wait; hold every request to this model until then
+      const retryAfterMs = status === 429 || status === 503 ? this.retryDelayFrom(lastError, response) : null;
+      if (retryAfterMs) this.limiter.block(model.name, retryAfterMs);
+
+      if ((status === 429 || status === 500 || status === 503) && attempt < maxRetries) {
+        // The next acquire() waits out the block
+        if (!retryAfterMs) this.limiter.block(model.name, Math.round(baseDelay * Math.pow(backoff, attempt)));
         attempt++;
         continue;
       }
 
-      throw new Error(`API error: ${lastError?.error?.message || response.statusText || 'Unknown error'}`);
+      // Out of retries: without RetryInfo, still hold the model for the default delay
+      if ((status === 429 || status === 503) && !retryAfterMs) this.limiter.block(model.name, baseDelay);
+      throw this.errorFromResponse(status, lastError, provider, response, retryAfterMs);
+    }
+
+    let json;
+    let parsed;
+    if (stream && response.body) {
+      let streamed = '';
+      let usage = null;
+      let finish = null;
+      let blockReason = null;
+      try {
+        json = await this.readEventStream(response, (event) => {
+          const chunk = provider.parseStreamEvent(event);
+          if (chunk.hasUsage) usage = chunk;
+          // Usage-only chunks have no candidate; keep the last real finish reason
+          if (chunk.finish && chunk.finish !== 'empty') finish = chunk.finish;
+          if (chunk.blockReason) blockReason = chunk.blockReason;
+          if (!chunk.text) return;
+          streamed += chunk.text;
+          options.onPartial?.(streamed);
+        });
+      } catch (e) {
+        if (signal?.aborted) throw abortReason();
+        throw new NetworkError(`Network error: stream interrupted (${e.message})`, { cause: e });
+      }
+      // Token usage is final only on the last chunk that carried usageMetadata
+      parsed = { ...(usage || provider.parseResponse(null)), text: streamed, finish, blockReason };
+      if (!parsed.finish) parsed.finish = streamed ? 'stop' : 'empty';
+    } else {
+      try {
+        json = await response.json();
+      } catch (e) {
+        if (signal?.aborted) throw abortReason();
+        throw new MalformedResponseError(`Reply is not valid JSON: ${e.message}`, { cause: e });
+      }
+      parsed = provider.parseResponse(json);
+    }
+
+    const { text, inputTokens, outputTokens, thinkingTokens, inputByModality } = parsed;
+    const tokenUsage = { inputTokens, outputTokens, thinkingTokens: thinkingTokens || 0, inputByModality: inputByModality || {} };
+    const latencyMs = Math.round(performance.now() - startedAt);
+    this.limiter.reconcile(model.name, estimate.inputTokens, (inputTokens || 0) + (outputTokens || 0) + (thinkingTokens || 0));
+
+    // Failed replies are still billed, so the usage travels with the error
+    const billed = { tokenUsage, estimate, latencyMs, modelName: model.name };
+    if (parsed.finish === 'safety') {
+      throw new SafetyBlockError(parsed.blockReason ? `Reply blocked (${parsed.blockReason})` : undefined, billed);
+    }
+    if (parsed.finish === 'length') throw new TruncatedError(undefined, { ...billed, partialText: text || '' });
+    if (parsed.finish === 'empty') throw new MalformedResponseError('Reply has no candidates', billed);
+
+    if (template) {
+      const { data, errors } = CFG.validator.parseStructured(text || '', template.schema);
+      return { text: text || '', data, errors, meta: json || {}, ...billed };
+    }
+
+    return {
+      text: this.parseTextValue(text || ''),
+      data: null,
+      errors: [],
+      meta: json || {},
+      ...billed
+    };
+  }
+
+  /**
+   * Translate already extracted text into `language` (display name) with a
+   * text-only request to the selected model. Same reply shape as request().
+   */
+  translate(text, language, options = {}) {
+    const cfg = window.GeminiConfig?.translation || {};
+    const template = cfg.prompt || 'Translate the following text into {language}. Respond with the translation only.\n\n{text}';
+    // Replacer functions: a literal `$&` or `$'` in the OCR text must not be expanded
+    const prompt = template.replace('{language}', () => language).replace('{text}', () => text);
+    return this.request(null, { prompt, signal: options.signal, onWait: options.onWait, onAcquired: options.onAcquired });
+  }
+}
+
+/* ========== Local Database (IndexedDB) ========== */
+// One database for everything persisted beyond localStorage. Bump `version`
+// and add to `stores` when a new object store is needed.
+const LocalDB = {
+  name: 'webcam-ocr',
+  version: 3,
+  stores: {
+    history: { keyPath: 'id', autoIncrement: true, indexes: ['timestamp'] },
+    queue: { keyPath: 'id', autoIncrement: true, indexes: ['capturedAt'] }, // v2
+    outbox: { keyPath: 'id', autoIncrement: true, indexes: ['createdAt'] } // v3
+  },
+  _open: null,
+
+  open() {
+    if (this._open) return this._open;
+    this._open = new Promise((resolve, reject) => {
+      if (!window.indexedDB) return reject(new Error('IndexedDB not supported in this browser'));
+      const req = indexedDB.open(this.name, this.version);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        Object.entries(this.stores).forEach(([name, def]) => {
+          if (db.objectStoreNames.contains(name)) return;
+          const store = db.createObjectStore(name, { keyPath: def.keyPath, autoIncrement: !!def.autoIncrement });
+          (def.indexes || []).forEach(idx => store.createIndex(idx, idx));
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    this._open.catch(() => { this._open = null; }); // allow a retry later
+    return this._open;
+  },
+
+  // Run fn(store) inside a transaction; resolves with fn's return value once committed
+  async run(storeName, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      const req = fn(tx.objectStore(storeName));
+      if (req && 'onsuccess' in req) req.onsuccess = () => { result = req.result; };
+      else result = req;
+    });
+  }
+};
+
+/* ========== History Store ========== */
+// Every accepted OCR result, newest first. Entry:
+// { id, timestamp, source, videoTime, text, model, confidence, tokens: { input, output }, cost, thumbnail }
+// source: filename for images / video files, null for camera frames; videoTime: seconds into the video
+class HistoryStore {
+  add(entry) {
+    return LocalDB.run('history', 'readwrite', store => store.add(entry));
+  }
+
+  // Replace a saved entry (same id), e.g. after an edit
+  put(entry) {
+    return LocalDB.run('history', 'readwrite', store => store.put(entry));
+  }
+
+  delete(id) {
+    return LocalDB.run('history', 'readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Newest-first page of entries matching all filters.
+   * search: case-insensitive substring of text/model/source; from/to: ms timestamps (inclusive,
+   * swapped when given the wrong way round, which IDBKeyRange.bound() rejects)
+   */
+  async query({ search = '', from = null, to = null, offset = 0, limit = 10 } = {}) {
+    const needle = search.trim().toLowerCase();
+    if (from != null && to != null && from > to) [from, to] = [to, from];
+    const range =
+      from != null && to != null ? IDBKeyRange.bound(from, to)
+      : from != null ? IDBKeyRange.lowerBound(from)
+      : to != null ? IDBKeyRange.upperBound(to)
+      : null;
+
+    const items = [];
+    let total = 0;
+    await LocalDB.run('history', 'readonly', store => {
+      const cursorReq = store.index('timestamp').openCursor(range, 'prev');
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor) return;
+        const entry = cursor.value;
+        const haystack = `${entry.text || ''}\n${entry.originalText || ''}\n${entry.model || ''}\n${entry.source || ''}\n${entry.translation?.text || ''}`.toLowerCase();
+        if (!needle || haystack.includes(needle)) {
+          if (total >= offset && items.length < limit) items.push(entry);
+          total++;
+        }
+        cursor.continue();
+      };
+    });
+    return { items, total };
+  }
+}
+
+/* ========== Offline Queue ========== */
+// Frames captured while offline, replayed oldest first. Entry:
+// { id, capturedAt, image (base64 JPEG), templateKey, profileId, overlay, thumbnail, source, videoTime }
+class OfflineQueue {
+  add(entry) {
+    return LocalDB.run('queue', 'readwrite', store => store.add(entry));
+  }
+
+  delete(id) {
+    return LocalDB.run('queue', 'readwrite', store => store.delete(id));
+  }
+
+  count() {
+    return LocalDB.run('queue', 'readonly', store => store.count());
+  }
+
+  // Oldest entry by capture time, or null when empty
+  async oldest() {
+    const entry = await LocalDB.run('queue', 'readonly', store => store.index('capturedAt').get(IDBKeyRange.lowerBound(0)));
+    return entry || null;
+  }
+}
+
+/* ========== Webhook ========== */
+/**
+ * POSTs every accepted result as JSON to a user-configured endpoint. Deliveries go through an
+ * IndexedDB outbox first, so a receiver that is down (or a reload) loses nothing; they are sent
+ * oldest first and retried with exponential back-off until webhook.maxAttempts.
+ * Outbox entry: { id, deliveryId, createdAt, body (JSON string), attempts, nextAttemptAt, lastError }
+ * Headers: X-OCR-Delivery (same on every retry, for de-duplication) and, with a secret,
+ * X-OCR-Signature: sha256=<hex HMAC-SHA256 of the raw body>.
+ */
+class WebhookSender {
+  constructor(onChange = () => {}) {
+    this.settings = this.loadSettings();
+    this.onChange = onChange; // (pending count, last error) -> settings panel
+    this.flushing = false;
+    this.flushAgain = false;
+    this.timer = null;
+    this.lastError = '';
+  }
+
+  loadSettings() {
+    const cfg = window.GeminiConfig?.webhook || {};
+    const settings = { enabled: !!cfg.enabled, url: cfg.url || '', headers: { ...(cfg.headers || {}) }, secret: cfg.secret || '', includeImage: !!cfg.includeImage };
+    try {
+      const saved = JSON.parse(localStorage.getItem('ocr_webhook') || 'null');
+      if (saved && typeof saved === 'object') Object.assign(settings, saved);
+    } catch { /* ignore corrupt settings */ }
+    return settings;
+  }
+
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    try {
+      localStorage.setItem('ocr_webhook', JSON.stringify(this.settings));
+    } catch { /* storage full or disabled */ }
+    this.notify();
+    this.flush(); // a fixed URL or re-enabling sends what is waiting
+  }
+
+  isReady(settings = this.settings) {
+    return !!settings.enabled && /^https?:\/\/\S+$/i.test(settings.url || '');
+  }
+
+  // "Name: value" lines -> { headers } or { error }
+  static parseHeaders(text = '') {
+    const headers = {};
+    for (const line of String(text).split('\n').map(l => l.trim()).filter(Boolean)) {
+      const at = line.indexOf(':');
+      const name = at > 0 ? line.slice(0, at).trim() : '';
+      if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) return { error: `Not a "Name: value" header: ${line}` };
+      headers[name] = line.slice(at + 1).trim();
+    }
+    return { headers };
+  }
+
+  static formatHeaders(headers = {}) {
+    return Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\n');
+  }
+
+  // History record (+ the JPEG that was sent, base64) -> request body
+  static payload(entry, image = null) {
+    const payload = {
+      event: 'ocr.result',
+      id: entry.resultId,
+      timestamp: new Date(entry.timestamp).toISOString(),
+      text: entry.text,
+      confidence: entry.confidence,
+      model: entry.model,
+      tokens: entry.tokens,
+      cost: entry.cost,
+      source: entry.source ?? null,
+      videoTime: entry.videoTime ?? null
+    };
+    if (entry.fields) payload.fields = entry.fields;
+    if (image) payload.image = { mimeType: 'image/jpeg', data: image };
+    return payload;
+  }
+
+  static async sign(body, secret) {
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', enc.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const mac = await crypto.subtle.sign('HMAC', key, enc.encode(body));
+    return Array.from(new Uint8Array(mac), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Queue one accepted result and try to send it right away
+  async push(entry, image = null) {
+    if (!this.isReady()) return;
+    const cfg = window.GeminiConfig?.webhook || {};
+    try {
+      const count = await this.count();
+      if (count >= (cfg.outboxMaxItems || 500)) {
+        this.lastError = `Outbox full (${count}) - result not sent`;
+        console.warn('Webhook outbox full, result dropped:', entry.resultId);
+        this.notify(count);
+        return;
+      }
+      const body = JSON.stringify(WebhookSender.payload(entry, this.settings.includeImage ? image : null));
+      await LocalDB.run('outbox', 'readwrite', store => store.add({ deliveryId: entry.resultId, createdAt: U.now(), body, attempts: 0, nextAttemptAt: 0, lastError: '' }));
+    } catch (e) {
+      console.warn('Webhook outbox save failed:', e);
+      return;
+    }
+    this.flush();
+  }
+
+  /**
+   * One POST; never rejects. { ok, status, retry, error }: network errors, timeouts,
+   * 408, 429 and 5xx are worth retrying; other 4xx mean the request itself is wrong.
+   */
+  async deliver(body, deliveryId, settings = this.settings) {
+    const timeoutMs = window.GeminiConfig?.webhook?.timeoutMs || 10000;
+    const headers = { 'Content-Type': 'application/json', ...settings.headers, 'X-OCR-Delivery': deliveryId };
+    if (settings.secret) {
+      if (!window.crypto?.subtle) return { ok: false, retry: false, error: 'Signing needs HTTPS or localhost' };
+      headers['X-OCR-Signature'] = `sha256=${await WebhookSender.sign(body, settings.secret)}`;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(settings.url, { method: 'POST', headers, body, signal: controller.signal });
+      if (response.ok) return { ok: true, status: response.status };
+      const retry = response.status === 408 || response.status === 429 || response.status >= 500;
+      return { ok: false, status: response.status, retry, error: `HTTP ${response.status}` };
+    } catch (e) {
+      const error = e.name === 'AbortError' ? `No reply within ${Math.round(timeoutMs / 1000)}s` : 'Network error (offline, wrong URL or CORS)';
+      return { ok: false, retry: true, error };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Sample result with the given (possibly unsaved) settings; bypasses the outbox
+  test(settings = this.settings, model = '') {
+    const now = U.now();
+    const sample = {
+      resultId: `test-${now}`,
+      timestamp: now,
+      text: 'Webhook test from Webcam OCR',
+      confidence: 1,
+      model,
+      tokens: { input: 0, output: 0, thinking: 0 },
+      cost: 0
+    };
+    const body = JSON.stringify({ ...WebhookSender.payload(sample), event: 'ocr.test' });
+    return this.deliver(body, sample.resultId, settings);
+  }
+
+  count() {
+    return LocalDB.run('outbox', 'readonly', store => store.count());
+  }
+
+  async oldest() {
+    const entry = await LocalDB.run('outbox', 'readonly', store => store.index('createdAt').get(IDBKeyRange.lowerBound(0)));
+    return entry || null;
+  }
+
+  // Send due entries in order; stop at the first failure (the receiver is probably down)
+  async flush() {
+    if (!this.isReady()) return;
+    if (this.flushing) {
+      this.flushAgain = true; // a push landed after this pass read the outbox
+      return;
+    }
+    this.flushing = true;
+    clearTimeout(this.timer);
+    const cfg = window.GeminiConfig?.webhook || {};
+    try {
+      let entry;
+      while (this.isReady() && (entry = await this.oldest())) {
+        const wait = entry.nextAttemptAt - U.now();
+        if (wait > 0) {
+          this.timer = setTimeout(() => this.flush(), wait);
+          break;
+        }
+        const result = await this.deliver(entry.body, entry.deliveryId);
+        if (result.ok) {
+          this.lastError = '';
+          await LocalDB.run('outbox', 'readwrite', store => store.delete(entry.id));
+          continue;
+        }
+        const attempts = entry.attempts + 1;
+        this.lastError = result.error;
+        if (!result.retry || attempts >= (cfg.maxAttempts || 8)) {
+          console.warn(`Webhook delivery ${entry.deliveryId} dropped after ${attempts} attempt(s):`, result.error);
+          await LocalDB.run('outbox', 'readwrite', store => store.delete(entry.id));
+          continue;
+        }
+        const delay = Math.min(cfg.retryMaxMs || 300000, (cfg.retryBaseMs || 2000) * 2 ** (attempts - 1));
+        await LocalDB.run('outbox', 'readwrite', store => store.put({ ...entry, attempts, nextAttemptAt: U.now() + delay, lastError: result.error }));
+        this.timer = setTimeout(() => this.flush(), delay);
+        break;
+      }
+    } catch (e) {
+      console.warn('Webhook outbox failed:', e);
+    } finally {
+      this.flushing = false;
+      this.notify();
+    }
+    if (this.flushAgain) {
+      this.flushAgain = false;
+      this.flush();
+    }
+  }
+
+  async notify(count = null) {
+    try {
+      this.onChange(count ?? await this.count(), this.lastError);
+    } catch { /* outbox unavailable */ }
+  }
+}
+
+/* ========== Text Rules ========== */
+/**
+ * Ordered, user-editable cleaning rules applied to every plain-text result.
+ * Rule: { id, enabled, action, pattern, flags, wholeWord, replacement }
+ * - remove:   delete matches
+ * - replace:  substitute `replacement` ($1 etc. allowed)
+ * - keepOnly: keep only lines that match
+ */
+const TextRules = {
+  storageKey: 'ocr_cleaning_rules',
+  actions: ['remove', 'replace', 'keepOnly'],
+
+  normalize(rule = {}) {
+    return {
+      id: rule.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      enabled: rule.enabled !== false,
+      action: this.actions.includes(rule.action) ? rule.action : 'remove',
+      pattern: String(rule.pattern ?? ''),
+      flags: String(rule.flags ?? 'gi'),
+      wholeWord: !!rule.wholeWord,
+      replacement: String(rule.replacement ?? '')
+    };
+  },
+
+  defaults() {
+    return (window.GeminiConfig?.cleaningRules || []).map(r => this.normalize(r));
+  },
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (Array.isArray(saved)) return saved.map(r => this.normalize(r));
+    } catch { /* fall back to defaults */ }
+    return this.defaults();
+  },
+
+  save(rules) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(rules));
+    } catch { /* storage full or disabled */ }
+  },
+
+  // Throws SyntaxError for bad patterns/flags
+  compile(rule) {
+    const source = rule.wholeWord ? `(?<![\\p{L}\\p{N}_])(?:${rule.pattern})(?![\\p{L}\\p{N}_])` : rule.pattern;
+    let flags = [...new Set(rule.flags.replace(/[^dgimsuy]/g, ''))].join('');
+    if (rule.wholeWord && !flags.includes('u')) flags += 'u'; // \p{...} needs unicode mode
+    return new RegExp(source, flags);
+  },
+
+  // Map of rule id -> error message for rules that do not compile
+  check(rules) {
+    const errors = {};
+    rules.forEach(rule => {
+      if (!rule.pattern) { errors[rule.id] = 'Pattern is empty'; return; }
+      try { this.compile(rule); } catch (e) { errors[rule.id] = e.message; }
+    });
+    return errors;
+  },
+
+  // options.preserveWhitespace: keep indentation and blank lines (source code profiles)
+  apply(text, rules, options = {}) {
+    if (!text) return '';
+    let out = String(text);
+    rules.forEach(rule => {
+      if (!rule.enabled || !rule.pattern) return;
+      let re;
+      try { re = this.compile(rule); } catch { return; } // invalid rules are skipped, not fatal
+      if (rule.action === 'keepOnly') {
+        out = out.split('\n').filter(line => { re.lastIndex = 0; return re.test(line); }).join('\n');
+      } else {
+        out = out.replace(re, rule.action === 'replace' ? rule.replacement : '');
+      }
+    });
+    if (options.preserveWhitespace) {
+      // Only trailing spaces and the blank lines around the text go
+      return out.split('\n').map(line => line.trimEnd()).join('\n').replace(/^\n+|\n+$/g, '');
+    }
+    // Split by lines, trim each line, and filter out empty lines
+    return out.split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+  },
+
+  // Parse an imported JSON file: a rules array or { rules: [...] }
+  parseImport(json) {
+    const data = JSON.parse(json);
+    const list = Array.isArray(data) ? data : data?.rules;
+    if (!Array.isArray(list)) throw new Error('Expected an array of rules');
+    return list.map(r => {
+      if (!r || typeof r.pattern !== 'string') throw new Error('Every rule needs a "pattern" string');
+      return this.normalize(r);
+    });
+  }
+};
+
+/* ========== Prompt Profiles ========== */
+// Named prompt + generation params + no-text sentinel per kind of content.
+// Built-ins come from GeminiConfig.promptProfiles; the user's edited list lives in localStorage.
+const PromptProfiles = {
+  storageKey: 'ocr_prompt_profiles',
+  selectedKey: 'ocr_prompt_profile',
+  // Generation params a profile may override, with their allowed ranges
+  params: {
+    temperature: { min: 0, max: 2 },
+    maxOutputTokens: { min: 1, max: 65536, integer: true },
+    topP: { min: 0, max: 1 },
+    topK: { min: 1, max: 1000, integer: true }
+  },
+
+  normalize(profile = {}) {
+    const params = {};
+    Object.keys(this.params).forEach(key => {
+      const value = profile.params?.[key];
+      if (value !== '' && value !== null && value !== undefined && Number.isFinite(Number(value))) params[key] = Number(value);
+    });
+    return {
+      id: profile.id || `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      label: String(profile.label ?? '').trim() || 'Untitled profile',
+      prompt: String(profile.prompt ?? ''),
+      params,
+      noText: String(profile.noText ?? '').trim(),
+      preserveWhitespace: !!profile.preserveWhitespace
+    };
+  },
+
+  defaults() {
+    return (window.GeminiConfig?.promptProfiles || []).map(p => this.normalize(p));
+  },
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (Array.isArray(saved) && saved.length) return saved.map(p => this.normalize(p));
+    } catch { /* fall back to defaults */ }
+    const defaults = this.defaults();
+    return defaults.length ? defaults : [this.normalize({ id: 'general', label: 'General text' })];
+  },
+
+  save(profiles) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+    } catch { /* storage full or disabled */ }
+  },
+
+  loadSelected() {
+    return localStorage.getItem(this.selectedKey) || window.GeminiConfig?.defaultPromptProfile || 'general';
+  },
+
+  saveSelected(id) {
+    try {
+      localStorage.setItem(this.selectedKey, id);
+    } catch { /* storage full or disabled */ }
+  },
+
+  // Copy under a new id, e.g. to tweak a built-in without losing it
+  duplicate(profile) {
+    return this.normalize({ ...profile, id: null, label: `${profile.label} (copy)`, params: { ...profile.params } });
+  },
+
+  // Map of field -> error message; empty when the profile can be saved
+  check(profile) {
+    const errors = {};
+    if (!String(profile.label ?? '').trim()) errors.label = 'Name is empty';
+    Object.entries(this.params).forEach(([key, range]) => {
+      const raw = profile.params?.[key];
+      if (raw === '' || raw === null || raw === undefined) return;
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < range.min || value > range.max || (range.integer && !Number.isInteger(value))) {
+        errors[key] = `${key} must be ${range.integer ? 'a whole number ' : ''}between ${range.min} and ${range.max}`;
+      }
+    });
+    return errors;
+  },
+
+  // Parse an imported JSON file: a profile, an array of profiles or { profiles: [...] }
+  parseImport(json) {
+    const data = JSON.parse(json);
+    const list = Array.isArray(data) ? data : Array.isArray(data?.profiles) ? data.profiles : data && typeof data === 'object' ? [data] : null;
+    if (!list?.length) throw new Error('Expected a profile or an array of profiles');
+    return list.map(p => {
+      if (!p || typeof p.prompt !== 'string') throw new Error('Every profile needs a "prompt" string');
+      const errors = this.check({ ...p, label: p.label || 'Imported' }); // a missing name is filled in
+      if (Object.keys(errors).length) throw new Error(Object.values(errors)[0]);
+      return this.normalize(p);
+    });
+  }
+};
+
+/* ========== Exporter ========== */
+// Turns session results + totals into downloadable files.
+// Result: { timestamp, source, text, model, confidence, tokens: { input, output }, cost }
+const Exporter = {
+  formats: {
+    txt: { ext: 'txt', mime: 'text/plain' },
+    csv: { ext: 'csv', mime: 'text/csv' },
+    jsonl: { ext: 'jsonl', mime: 'application/x-ndjson' },
+    md: { ext: 'md', mime: 'text/markdown' }
+  },
+
+  // totals: UIManager.tokenUsage snapshot
+  summarize(results, totals) {
+    return {
+      results: results.length,
+      requests: totals.requestCount || 0,
+      skippedFrames: totals.skippedFrames || 0,
+      inputTokens: totals.totalInputTokens || 0,
+      outputTokens: totals.totalOutputTokens || 0,
+      thinkingTokens: totals.totalThinkingTokens || 0,
+      translationRequests: totals.translationRequests || 0,
+      translationTokens: totals.translationTokens || 0,
+      totalTokens: (totals.totalInputTokens || 0) + (totals.totalOutputTokens || 0) + (totals.totalThinkingTokens || 0) + (totals.translationTokens || 0),
+      inputCost: totals.totalInputCost || 0,
+      outputCost: totals.totalOutputCost || 0,
+      thinkingCost: totals.totalThinkingCost || 0,
+      translationCost: totals.translationCost || 0,
+      totalCost: (totals.totalInputCost || 0) + (totals.totalOutputCost || 0) + (totals.totalThinkingCost || 0) + (totals.translationCost || 0),
+      sessionStart: new Date(totals.sessionStartTime || Date.now()).toISOString(),
+      exportedAt: new Date().toISOString()
+    };
+  },
+
+  build(format, results, totals) {
+    const sum = this.summarize(results, totals);
+    const iso = ts => new Date(ts).toISOString();
+    const tokens = r => (r.tokens?.input || 0) + (r.tokens?.output || 0) + (r.tokens?.thinking || 0);
+    const pct = c => (typeof c === 'number' ? `${Math.round(c * 100)}%` : 'N/A');
+
+    if (format === 'txt') {
+      const translated = r => (r.translation ? `\n[${r.translation.language}]\n${r.translation.text}` : '');
+      const body = results.map(r => `[${iso(r.timestamp)}] ${r.source ? `${r.source} · ` : ''}${r.model} (${pct(r.confidence)})\n${r.text}${translated(r)}`).join('\n\n');
+      const footer = [
+        '---',
+        `Results: ${sum.results} | Requests: ${sum.requests} | Translations: ${sum.translationRequests} | Skipped frames: ${sum.skippedFrames}`,
+        `Tokens: ${sum.inputTokens} in / ${sum.outputTokens} out / ${sum.thinkingTokens} thinking / ${sum.translationTokens} translation / ${sum.totalTokens} total`,
+        `Cost: $${sum.totalCost.toFixed(6)} (input $${sum.inputCost.toFixed(6)}, output $${sum.outputCost.toFixed(6)}, thinking $${sum.thinkingCost.toFixed(6)}, translation $${sum.translationCost.toFixed(6)})`
+      ].join('\n');
+      return `${body}\n\n${footer}\n`;
+    }
+
+    if (format === 'csv') {
+      const cell = v => {
+        let str = String(v ?? '');
+        // Scanned text starting with = + - @ would run as a formula in a spreadsheet
+        if (typeof v === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+      };
+      const rows = [['timestamp', 'source', 'confidence', 'model', 'tokens', 'cost', 'text', 'translation_language', 'translation', 'original_text']];
+      results.forEach(r => rows.push([iso(r.timestamp), r.source || '', r.confidence ?? '', r.model, tokens(r), (r.cost || 0).toFixed(6), r.text, r.translation?.language || '', r.translation?.text || '', r.originalText || '']));
+      rows.push(['TOTAL', '', '', '', sum.totalTokens, sum.totalCost.toFixed(6), `${sum.results} results / ${sum.requests} requests`, '', sum.translationRequests ? `${sum.translationRequests} translations` : '', '']);
+      return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    if (format === 'jsonl') {
+      const lines = results.map(r => JSON.stringify({
+        type: 'result',
+        timestamp: iso(r.timestamp),
+        source: r.source || null,
+        videoTime: r.videoTime ?? null,
+        confidence: r.confidence,
+        model: r.model,
+        tokens: r.tokens,
+        cost: r.cost || 0,
+        text: r.text,
+        originalText: r.originalText || null, // set when the text was corrected by hand
+        translation: r.translation || null
+      }));
+      lines.push(JSON.stringify({ type: 'summary', ...sum }));
+      return lines.join('\n') + '\n';
+    }
+
+    if (format === 'md') {
+      // Code block with a fence longer than any backtick run inside, so OCR'd backticks cannot close it
+      const fenced = text => {
+        const str = String(text ?? '');
+        const fence = '`'.repeat(Math.max(3, ...(str.match(/`+/g) || []).map(run => run.length + 1)));
+        return [fence, str, fence];
+      };
+      const sections = results.map((r, i) => [
+        `### ${i + 1}. ${new Date(r.timestamp).toLocaleString()}`,
+        '',
+        `${r.source ? `Source: ${r.source} · ` : ''}Model: \`${r.model}\` · Confidence: ${pct(r.confidence)} · Tokens: ${tokens(r)} · Cost: $${(r.cost || 0).toFixed(6)}${r.originalText ? ' · Edited' : ''}`,
+        '',
+        ...fenced(r.text),
+        ...(r.translation ? ['', `Translation (${r.translation.language}):`, '', ...fenced(r.translation.text)] : [])
+      ].join('\n'));
+      return [
+        '# OCR Session Report',
+        '',
+        `Exported ${new Date(sum.exportedAt).toLocaleString()} · Session started ${new Date(sum.sessionStart).toLocaleString()}`,
+        '',
+        '## Totals',
+        '',
+        '| Metric | Value |',
+        '|---|---|',
+        `| Results | ${sum.results} |`,
+        `| Requests | ${sum.requests} |`,
+        `| Skipped frames | ${sum.skippedFrames} |`,
+        `| Input tokens | ${sum.inputTokens} |`,
+        `| Output tokens | ${sum.outputTokens} |`,
+        `| Thinking tokens | ${sum.thinkingTokens} |`,
+        `| Translation tokens | ${sum.translationTokens} |`,
+        `| Translation cost | $${sum.translationCost.toFixed(6)} |`,
+        `| Total cost | $${sum.totalCost.toFixed(6)} |`,
+        '',
+        '## Results',
+        '',
+        sections.join('\n\n') || '_No results_',
+        ''
+      ].join('\n');
+    }
+
+    throw new Error(`Unknown export format: ${format}`);
+  },
+
+  download(format, results, totals) {
+    const fmt = this.formats[format];
+    if (!fmt) throw new Error(`Unknown export format: ${format}`);
+    U.downloadText(`ocr-results-${U.fileStamp()}.${fmt.ext}`, this.build(format, results, totals), fmt.mime);
+  }
+};
+
+/* ========== Budget Guard ========== */
+// Per-session and per-day spending limits in USD and request count (0 = no limit).
+// Limits and today's spend live in localStorage so reloads cannot reset the daily cap.
+class BudgetGuard {
+  constructor() {
+    this.limits = this.loadLimits();
+    this.session = { usd: 0, requests: 0 };
+    this.daily = this.loadDaily();
+  }
+
+  static today() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  loadLimits() {
+    const limits = { sessionUsd: 0, sessionRequests: 0, dailyUsd: 0, dailyRequests: 0, softLimitRatio: 0.8, ...(window.GeminiConfig?.budget || {}) };
+    try {
+      const saved = JSON.parse(localStorage.getItem('ocr_budget_limits') || 'null');
+      if (saved && typeof saved === 'object') Object.assign(limits, saved);
+    } catch { /* ignore corrupt settings */ }
+    return limits;
+  }
+
+  setLimits(partial) {
+    Object.assign(this.limits, partial);
+    try {
+      localStorage.setItem('ocr_budget_limits', JSON.stringify(this.limits));
+    } catch { /* storage full or disabled */ }
+  }
+
+  loadDaily() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('ocr_budget_daily') || 'null');
+      if (saved?.date === BudgetGuard.today()) return saved;
+    } catch { /* start fresh */ }
+    return { date: BudgetGuard.today(), usd: 0, requests: 0 };
+  }
+
+  // New calendar day -> new daily counter (kiosks run past midnight)
+  rollover() {
+    if (this.daily.date !== BudgetGuard.today()) this.daily = { date: BudgetGuard.today(), usd: 0, requests: 0 };
+  }
+
+  record(usd = 0) {
+    this.rollover();
+    this.session.usd += usd;
+    this.session.requests += 1;
+    this.daily.usd += usd;
+    this.daily.requests += 1;
+    try {
+      localStorage.setItem('ocr_budget_daily', JSON.stringify(this.daily));
+    } catch { /* storage full or disabled */ }
+  }
+
+  snapshot() {
+    this.rollover();
+    return { limits: { ...this.limits }, session: { ...this.session }, daily: { ...this.daily } };
+  }
+
+  // { level: 'ok' | 'soft' | 'hard', reason }; the first hard limit wins, else the first soft one
+  status() {
+    this.rollover();
+    const ratio = this.limits.softLimitRatio || 0.8;
+    const checks = [
+      ['Session budget', this.session.usd, this.limits.sessionUsd, true],
+      ['Session request limit', this.session.requests, this.limits.sessionRequests, false],
+      ['Daily budget', this.daily.usd, this.limits.dailyUsd, true],
+      ['Daily request limit', this.daily.requests, this.limits.dailyRequests, false]
+    ];
+    let soft = null;
+    for (const [label, used, limit, isUsd] of checks) {
+      if (!limit) continue;
+      const fmt = v => (isUsd ? `$${v.toFixed(4)}` : String(v));
+      if (used >= limit) return { level: 'hard', reason: `${label} reached (${fmt(used)} of ${fmt(limit)})` };
+      if (!soft && used >= limit * ratio) {
+        soft = { level: 'soft', reason: `${label} at ${Math.round((used / limit) * 100)}% (${fmt(used)} of ${fmt(limit)})` };
+      }
+    }
+    return soft || { level: 'ok', reason: '' };
+  }
+}
+
+/* ========== Rate Limiter ========== */
+/**
+ * Token buckets per model, from GeminiConfig.rateLimit.tiers[tier].models[name] = { rpm, tpm }
+ * (or a flat rateLimit.models, which wins when present).
+ * Buckets refill continuously; acquire() waits until one request and the estimated
+ * tokens fit. block() pauses a model entirely (server RetryInfo on 429/503).
+ */
+class RateLimiter {
+  constructor(config = {}) {
+    this.config = config;
+    this.tier = config.tier || 'free';
+    this.buckets = new Map(); // model -> { requests, tokens, updatedAt, blockedUntil }
+    this.onChange = null;     // (modelName) => void, for the quota display
+  }
+
+  limitsFor(modelName) {
+    const models = this.config.models || this.config.tiers?.[this.tier]?.models;
+    return models?.[modelName] || {};
+  }
+
+  // Switch usage tier; buckets start full at the new limits, server blocks still apply
+  setTier(tier) {
+    if (!this.config.tiers?.[tier]) return false;
+    this.tier = tier;
+    this.buckets.forEach((b, modelName) => {
+      const { rpm, tpm } = this.limitsFor(modelName);
+      Object.assign(b, { requests: rpm || 0, tokens: tpm || 0, updatedAt: U.now() });
+      this.notify(modelName);
+    });
+    return true;
+  }
+
+  // Refilled bucket for a model (created full on first use)
+  bucket(modelName) {
+    const { rpm, tpm } = this.limitsFor(modelName);
+    const now = U.now();
+    let b = this.buckets.get(modelName);
+    if (!b) {
+      b = { requests: rpm || 0, tokens: tpm || 0, updatedAt: now, blockedUntil: 0 };
+      this.buckets.set(modelName, b);
+    }
+    const elapsed = now - b.updatedAt;
+    if (rpm) b.requests = Math.min(rpm, b.requests + elapsed * rpm / 60000);
+    if (tpm) b.tokens = Math.min(tpm, b.tokens + elapsed * tpm / 60000);
+    b.updatedAt = now;
+    return b;
+  }
+
+  // Milliseconds until one request costing `tokens` may start (0 = now)
+  waitTime(modelName, tokens = 0) {
+    const { rpm, tpm } = this.limitsFor(modelName);
+    const b = this.bucket(modelName);
+    const forRequests = rpm ? Math.max(0, 1 - b.requests) * 60000 / rpm : 0;
+    // A request larger than the whole bucket only waits for a full bucket
+    const forTokens = tpm ? Math.max(0, Math.min(tokens, tpm) - b.tokens) * 60000 / tpm : 0;
+    return Math.ceil(Math.max(forRequests, forTokens, b.blockedUntil - U.now(), 0));
+  }
+
+  /**
+   * Wait for capacity, then take one request + `tokens` from the buckets.
+   * options.signal aborts the wait; options.onWait(ms) reports each pause.
+   */
+  async acquire(modelName, tokens, options = {}) {
+    const { signal, onWait } = options;
+    for (;;) {
+      if (signal?.aborted) throw signal.reason;
+      const wait = this.waitTime(modelName, tokens);
+      if (wait <= 0) break;
+      onWait?.(wait);
+      this.notify(modelName);
+      await U.sleep(Math.min(wait, 1000)); // short slices keep aborts and the countdown responsive
+    }
+    const { rpm, tpm } = this.limitsFor(modelName);
+    const b = this.bucket(modelName);
+    if (rpm) b.requests -= 1;
+    if (tpm) b.tokens -= Math.min(tokens, tpm);
+    this.notify(modelName);
+  }
+
+  // Charge the difference once real usage is known (the bucket may go into debt)
+  reconcile(modelName, estimatedTokens, actualTokens) {
+    const { tpm } = this.limitsFor(modelName);
+    if (!tpm) return;
+    this.bucket(modelName).tokens -= actualTokens - Math.min(estimatedTokens, tpm);
+    this.notify(modelName);
+  }
+
+  block(modelName, ms) {
+    const b = this.bucket(modelName);
+    b.blockedUntil = Math.max(b.blockedUntil, U.now() + ms);
+    this.notify(modelName);
+  }
+
+  // { rpm, tpm, requests, tokens, waitMs } - null when the model has no limits
+  remaining(modelName) {
+    const { rpm, tpm } = this.limitsFor(modelName);
+    const b = this.bucket(modelName);
+    const waitMs = this.waitTime(modelName, 0);
+    if (!rpm && !tpm && !waitMs) return null;
+    return {
+      rpm: rpm || 0,
+      tpm: tpm || 0,
+      requests: Math.max(0, Math.floor(b.requests)),
+      tokens: Math.max(0, Math.floor(b.tokens)),
+      waitMs
+    };
+  }
+
+  notify(modelName) {
+    this.onChange?.(modelName);
+  }
+}
+
+/* ========== Request Pool ========== */
+/**
+ * Bounded set of in-flight OCR requests.
+ * - run(ticket, task): task(signal, startClock) gets an AbortSignal that fires with a
+ *   TimeoutError or CancelledError (on cancelAll()). The timeout runs from the last
+ *   startClock() call, so time spent waiting for the rate limiter does not count.
+ *   A task that never calls it has no timeout.
+ * - Each request takes a ticket in capture order; settle(ticket, render) runs the
+ *   render callbacks in that order, so an older frame never overwrites a newer one.
+ * - Follow-up requests (translation) pass a null ticket: they share the slots and
+ *   the timeout but have nothing to render in order.
+ */
+class RequestPool {
+  constructor(options = {}) {
+    this.maxConcurrent = Math.max(1, options.maxConcurrent || 1);
+    this.timeoutMs = options.timeoutMs || 0;
+    this.active = new Map(); // ticket -> AbortController
+    this.lastTicket = 0;
+    this.nextToRender = 1;
+    this.ready = new Map(); // ticket -> render callback (null = nothing to show)
+    this.waiters = []; // { ticket, resolve } from whenSettled()
+  }
+
+  get size() { return this.active.size; }
+
+  isFull() { return this.active.size >= this.maxConcurrent; }
+
+  // Reserve the next ticket; call right after the frame is captured
+  take() {
+    return ++this.lastTicket;
+  }
+
+  async run(ticket, task) {
+    const controller = new AbortController();
+    let timer = null;
+    const startClock = () => {
+      clearTimeout(timer);
+      if (!this.timeoutMs || controller.signal.aborted) return;
+      timer = setTimeout(() => controller.abort(new TimeoutError(`Request timed out after ${+(this.timeoutMs / 1000).toFixed(1)}s`)), this.timeoutMs);
+    };
+    const key = ticket ?? Symbol('untracked');
+    this.active.set(key, controller);
+    try {
+      return await task(controller.signal, startClock);
+    } finally {
+      clearTimeout(timer);
+      this.active.delete(key);
+    }
+  }
+
+  // Every ticket must be settled exactly once, with or without something to render
+  settle(ticket, render = null) {
+    if (ticket < this.nextToRender) return; // cancelled or superseded
+    this.ready.set(ticket, render);
+    while (this.ready.has(this.nextToRender)) {
+      const fn = this.ready.get(this.nextToRender);
+      this.ready.delete(this.nextToRender);
+      this.nextToRender++;
+      fn?.();
+    }
+    this.wake();
+  }
+
+  // Settled but held back behind an older ticket
+  isWaiting(ticket) {
+    return this.ready.has(ticket);
+  }
+
+  // Resolves once the ticket has rendered or was dropped (cancelAll)
+  whenSettled(ticket) {
+    if (ticket < this.nextToRender) return Promise.resolve();
+    return new Promise(resolve => this.waiters.push({ ticket, resolve }));
+  }
+
+  wake() {
+    this.waiters = this.waiters.filter(w => {
+      if (w.ticket >= this.nextToRender) return true;
+      w.resolve();
+      return false;
+    });
+  }
+
+  // Abort everything in flight and drop replies still waiting for their turn
+  cancelAll() {
+    this.active.forEach(controller => controller.abort(new CancelledError()));
+    this.active.clear();
+    this.ready.clear();
+    this.nextToRender = this.lastTicket + 1;
+    this.wake();
+  }
+}
+
+/* ========== Capture Controller ========== */
+class CaptureController {
+  /**
+   * hooks: what the loop needs from its owner, passed in at construction
+   * { budget, cleanOcrResult(text, profile), getPromptProfile(id), recordResult(entry, image),
+   *   updateResult(resultId, changes), forgetApiKey(), emit(type, detail) }
+   */
+  constructor(ui, camera, ocr, hooks = {}) {
+    this.ui = ui;
+    this.camera = camera;
+    this.ocr = ocr;
+    this.hooks = hooks;
+    this.mode = 'async'; // default
+    this.intervalId = null;
+    this.asyncRunning = false;
+    this.throttleUntil = 0;
+    this.lastCaptureTime = 0;
+    this.consecutiveErrors = 0;
+    this.maxConsecutiveErrors = 3;
+    this.lastSentThumb = null; // grayscale thumbnail of the last frame sent to the API
+    this.budgetLevel = 'ok';
+    this.pool = new RequestPool(window.GeminiConfig?.requestPool);
+    this.queue = new OfflineQueue();
+    this.draining = false;
+    this.videoScanning = false;
+    this.videoScanId = 0; // bumped by every start/stop; a scan loop only runs while its id is current
+    this.textBoxes = []; // [{ text, frame: { x, y, w, h } }] from the latest overlay reply
+    this.textBoxTimer = null;
+    this.lastAutoCopyAt = 0;
+  }
+
+  setMode(mode) { this.mode = mode; }
+
+  isRunning() { return !!(this.asyncRunning || this.intervalId || this.videoScanning); }
+
+  stop() {
+    if (this.intervalId) clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.asyncRunning = false;
+    if (this.videoScanning) this.ui.setScanning(false);
+    this.videoScanning = false;
+    this.videoScanId++;
+    this.pool.cancelAll(); // nothing new arrives after Stop / Escape / tab hide
+    this.ui.showLoading(false);
+    this.setTextBoxes([]);
+    this.consecutiveErrors = 0; // 重置错误计数
+    if (this.camera.isActive()) this.ui.setStatus('Camera active', 'success');
+  }
+
+  // 改进的异步循环逻辑
+  async runAsyncLoop() {
+    this.lastCaptureTime = Date.now();
+    this.consecutiveErrors = 0;
+
+    // 添加页面卸载监听，确保清理资源
+    const handlePageUnload = () => {
+      this.asyncRunning = false;
+    };
+    window.addEventListener('beforeunload', handlePageUnload);
+
+    // 错误退避策略：避免频繁错误时过度请求
+    const backOff = async () => {
+      this.consecutiveErrors++;
+      if (this.consecutiveErrors >= this.maxConsecutiveErrors) {
+        this.ui.setStatus('Too many errors - pausing capture', 'error');
+        await U.sleep(5000); // 暂停5秒后重试
+        this.consecutiveErrors = 0; // 重置计数
+      } else {
+        // 递增延迟：1秒、2秒、3秒...
+        await U.sleep(1000 * this.consecutiveErrors);
+      }
+    };
+
+    try {
+      while (this.asyncRunning && this.camera.isActive()) {
+        try {
+          this.lastCaptureTime = Date.now();
+          const job = await this.captureOnce(true);
+          // submit() handles its own errors; network / timeout ('retry') still back off here
+          if (job?.error?.policy === 'retry') {
+            await backOff();
+            continue;
+          }
+          this.consecutiveErrors = 0; // 成功时重置计数
+
+          // 动态间隔：基于处理时间调整，避免过度请求
+          const processingTime = Date.now() - this.lastCaptureTime;
+          const dynamicDelay = Math.max(1000, processingTime * 0.1);
+          await U.sleep(dynamicDelay);
+
+        } catch (error) {
+          console.warn('Async capture error:', error);
+          await backOff();
+        }
+      }
+    } finally {
+      // 清理事件监听器
+      window.removeEventListener('beforeunload', handlePageUnload);
+    }
+  }
+
+  async start() {
+    if (!this.camera.isActive()) return;
+    this.stop();
+    this.lastSentThumb = null; // always send the first frame after (re)start
+    if (!this.checkBudget()) return;
+
+    // A recorded video is sampled by video time, not by the wall-clock loops below
+    if (this.camera.isFile()) {
+      this.videoScanning = true;
+      this.ui.setScanning(true);
+      this.runVideoScan(this.videoScanId);
+      return;
+    }
+
+    if (this.mode === 'interval') {
+      if (this.intervalId) return;
+      this.intervalId = setInterval(() => this.captureOnce(false), 1000);
+    } else {
+      if (this.asyncRunning) return;
+      this.asyncRunning = true;
+      this.runAsyncLoop(); // 启动异步循环，不等待
+    }
+    this.ui.setStatus('Auto-capture active', 'success');
+  }
+
+  /**
+   * Step through the loaded video file from its current position and OCR sampled frames.
+   * videoSampling.mode 'interval': one frame every intervalSec of video time.
+   * videoSampling.mode 'scene': check every sceneStepSec and send only frames that differ
+   * from the last one sent by more than sceneThreshold.
+   * scanId: this.videoScanId at start; a stop() or a newer scan ends this loop at its next check.
+   */
+  async runVideoScan(scanId) {
+    const live = () => this.videoScanning && this.videoScanId === scanId;
+    const video = this.ui.el.video;
+    const cfg = window.GeminiConfig?.videoSampling || {};
+    const scene = cfg.mode === 'scene';
+    const step = Math.max(0.1, (scene ? cfg.sceneStepSec : cfg.intervalSec) || (scene ? 0.5 : 2));
+    const pending = [];
+    let sampled = 0;
+    let lastSceneThumb = null;
+
+    video.pause();
+    this.ui.setStatus('Scanning video...', 'success');
+    // MediaRecorder webm files often report Infinity until played through; there the scan
+    // ends when a seek no longer moves the video forward
+    const knownEnd = Number.isFinite(video.duration);
+    const clock = t => (knownEnd ? `${U.formatClock(t)} / ${U.formatClock(video.duration)}` : U.formatClock(t));
+    // Restart from the top when the previous scan reached the end
+    let time = knownEnd && video.currentTime >= video.duration - 0.05 ? 0 : video.currentTime;
+    let reached = -1;
+
+    while (live() && (!knownEnd || time <= video.duration)) {
+      await this.camera.seek(time);
+      if (!live()) break;
+      if (video.currentTime <= reached) break; // end of the seekable range
+      reached = video.currentTime;
+
+      // Keep the pool full but never over it; results still render in video order
+      while (live() && this.pool.isFull()) await U.sleep(100);
+      // After a 429/503 the whole scan waits out the backoff instead of sending frames that fail too
+      while (live() && this.throttleUntil > U.now()) {
+        this.ui.setStatus(`Throttled - waiting ${Math.ceil((this.throttleUntil - U.now()) / 1000)}s`, 'warning');
+        await U.sleep(Math.min(1000, this.throttleUntil - U.now()));
+      }
+      if (!live() || !this.camera.grabFrame()) break;
+
+      const thumb = scene ? this.camera.grayThumbnail(32) : null;
+      const changed = !scene || FrameAnalysis.difference(thumb, lastSceneThumb) >= (cfg.sceneThreshold ?? 0.12);
+      if (changed && !this.isPoorQualityFrame()) {
+        if (!this.checkBudget()) break;
+        lastSceneThumb = thumb;
+        sampled++;
+        this.ui.setStatus(`Scanning video ${clock(time)} (${sampled} frames)`, 'default');
+        const job = { ...this.buildJob(this.camera.file?.name || null), videoTime: time };
+        if (!navigator.onLine && await this.enqueue(job)) {
+          time += step;
+          continue;
+        }
+        pending.push(this.submit(job));
+      }
+      time += step;
+    }
+
+    await Promise.all(pending);
+    if (live()) {
+      this.videoScanning = false;
+      this.ui.setScanning(false);
+      this.ui.setStatus(`Video scan finished - ${sampled} frames sampled`, 'success');
+    }
+  }
+
+  // Refresh the budget panel; at a hard limit stop capture and say why. Returns false when stopped.
+  checkBudget() {
+    const budget = this.hooks.budget;
+    if (!budget) return true;
+    const { level, reason } = budget.status();
+    this.budgetLevel = level;
+    this.ui.renderBudget(budget.snapshot(), level, reason);
+    if (level !== 'hard') return true;
+
+    this.stop();
+    this.ui.setStatus('Budget limit reached - capture stopped', 'error');
+    this.ui.showError(`${reason}. Capture stopped - raise the limit under Budget to continue.`);
+    return false;
+  }
+
+  // Count a finished request against the budget; warn once per crossing of the soft threshold.
+  // Returns false when this spend hit the hard limit and stopped capture.
+  recordSpend(usd) {
+    const budget = this.hooks.budget;
+    if (!budget) return true;
+    const previous = this.budgetLevel;
+    budget.record(usd);
+    if (!this.checkBudget()) return false;
+    if (this.budgetLevel === 'soft' && previous !== 'soft') {
+      this.ui.setStatus(`Budget warning: ${budget.status().reason}`, 'warning');
+    }
+    return true;
+  }
+
+  // Reject blurry / badly exposed frames locally instead of paying the model to say so
+  isPoorQualityFrame() {
+    const checks = window.GeminiConfig?.frameChecks || {};
+    if (!checks.qualityCheck) return false;
+
+    const quality = this.camera.measureQuality(checks.sampleSize || 160);
+    const problem =
+      quality.brightness < (checks.minBrightness ?? 40) ? 'Too dark'
+      : quality.brightness > (checks.maxBrightness ?? 220) ? 'Over-exposed'
+      : quality.sharpness < (checks.minSharpness ?? 60) ? 'Image blur'
+      : null;
+
+    this.ui.updateFrameQuality(quality, problem);
+    if (!problem) return false;
+
+    this.ui.recordSkippedFrame();
+    this.ui.setStatus(`${problem} - frame skipped`, 'warning');
+    return true;
+  }
+
+  // Compare the grabbed frame with the last one sent; skip the API call if it barely changed
+  isUnchangedFrame() {
+    const checks = window.GeminiConfig?.frameChecks || {};
+    if (!checks.skipUnchanged) return false;
+
+    const thumb = this.camera.grayThumbnail(checks.thumbSize || 32);
+    const diff = FrameAnalysis.difference(thumb, this.lastSentThumb);
+    if (diff < (checks.diffThreshold ?? 0.03)) {
+      this.ui.recordSkippedFrame();
+      this.ui.setStatus(`Frame unchanged - skipped (${this.ui.tokenUsage.skippedFrames})`, 'default');
+      return true;
+    }
+    this.lastSentThumb = thumb;
+    return false;
+  }
+
+  /**
+   * True when the reply is empty or matches a configured no-text pattern (case-insensitive).
+   * partial: also true while the text could still grow into a pattern (streaming).
+   * sentinel: the prompt profile's exact no-text reply, matched as a whole.
+   */
+  isNoTextReply(text, partial = false, sentinel = '') {
+    const lower = (text || '').trim().toLowerCase();
+    if (!lower) return true;
+
+    // Use configurable no-text patterns from config
+    const cfg = window.GeminiConfig || {};
+    const patterns = (Array.isArray(cfg.noTextPatterns) && cfg.noTextPatterns.length
+      ? cfg.noTextPatterns
+      : ['no text','no text detected','no text visible','no readable text','no text found','no text in the image','no visible text','image blur','blurred','blurry','too blurry','no text detect and image blur']
+    ).map(p => String(p).toLowerCase());
+
+    const exact = String(sentinel || '').trim().toLowerCase();
+    if (exact && (lower === exact || (partial && exact.startsWith(lower)))) return true;
+    return patterns.some(p => lower.includes(p) || (partial && p.startsWith(lower)));
+  }
+
+  // Show + persist a result that passed all no-text checks; returns it as sent with the result event
+  // image: the base64 JPEG that was sent, for a webhook that includes images (not kept in history)
+  acceptResult(text, { fields = null, meta, tokenUsage, cost, modelName, capturedAt, thumbnail, queued = false, source = null, videoTime = null, profile = null, image = null }) {
+    const confidence = U.confidenceHeuristic(text, meta);
+    // Links the list item to its session/history record for copy, edit and delete
+    const resultId = `r-${capturedAt}-${Math.random().toString(36).slice(2, 8)}`;
+    const item = this.ui.addResult(text, confidence, { id: resultId, fields, timestamp: capturedAt, queued, source, videoTime, preformatted: profile?.preserveWhitespace });
+    const record = {
+      resultId,
+      timestamp: capturedAt,
+      source,
+      videoTime,
+      text,
+      fields,
+      model: modelName,
+      confidence,
+      tokens: { input: tokenUsage?.inputTokens || 0, output: tokenUsage?.outputTokens || 0, thinking: tokenUsage?.thinkingTokens || 0 },
+      cost: cost?.totalCost || 0,
+      thumbnail
+    };
+    this.hooks.recordResult(record, image);
+    // A copy: the session record changes later (edits, translation)
+    const accepted = { ...record, queued: !!queued };
+    this.hooks.emit?.('result', accepted);
+    this.ui.setStatus('OCR completed', 'success');
+    // Replayed offline frames are older than what is already on the clipboard
+    if (this.ui.el.autoCopy?.checked && !queued) this.autoCopy(text, capturedAt);
+
+    // Template results are field tables; only plain text goes through translation
+    const target = this.ui.el.translateSelect?.value;
+    const language = target && window.GeminiConfig?.translation?.languages?.[target];
+    if (!language || fields) return accepted;
+    this.ui.renderTranslation(item, language, null);
+    this.translateResult(text, language).then(translation => {
+      this.ui.renderTranslation(item, language, translation.text, translation.failed);
+      if (!translation.failed) this.hooks.updateResult(resultId, { translation: { language, text: translation.text } });
+    });
+    return accepted;
+  }
+
+  // "Auto-copy latest": newest capture wins, so a slow older reply never overwrites the clipboard
+  async autoCopy(text, capturedAt) {
+    if (capturedAt < this.lastAutoCopyAt) return;
+    this.lastAutoCopyAt = capturedAt;
+    if (!(await U.copyText(text))) this.ui.setStatus('OCR completed - auto-copy failed (click the page first)', 'warning');
+  }
+
+  /**
+   * Second request for an accepted result. Shares the pool (slots + timeout) but not the
+   * render order. Never rejects: resolves { text, failed } so the original is kept either way.
+   */
+  async translateResult(text, language) {
+    try {
+      const reply = await this.pool.run(null, (signal, startClock) => this.ocr.translate(text, language, { signal, onAcquired: startClock }));
+      this.chargeUsage(reply, 'translation');
+      const translated = (reply.text || '').trim();
+      return translated ? { text: translated, failed: false } : { text: 'empty reply', failed: true };
+    } catch (e) {
+      const err = OCRError.from(e);
+      if (err.tokenUsage) this.chargeUsage(err, 'translation');
+      if (err.policy !== 'ignore') console.warn('Translation failed:', err);
+      return { text: err.userMessage, failed: true };
+    }
+  }
+
+  // Returns the job that was sent or queued, or undefined when the frame was skipped
+  async captureOnce(waitForResponse) {
+    // global throttle
+    const now = U.now();
+    if (this.throttleUntil > now) {
+      const remain = Math.ceil((this.throttleUntil - now) / 1000);
+      this.ui.setStatus(`Throttled - waiting ${remain}s`, 'warning');
+      // Interval ticks are dropped until the backoff ends; a one-off capture waits it out
+      if (!waitForResponse) return;
+      await U.sleep(this.throttleUntil - now);
+    }
+
+    // Interval mode ticks every second; never queue more than the pool allows
+    if (this.pool.isFull()) {
+      this.ui.setStatus(`Waiting for ${this.pool.size} request(s) - frame skipped`, 'default');
+      return;
+    }
+
+    if (!this.camera.grabFrame()) return;
+    if (this.isPoorQualityFrame()) return;
+    if (this.isUnchangedFrame()) return;
+    if (!this.checkBudget()) return;
+
+    const job = this.buildJob();
+    if (!navigator.onLine && await this.enqueue(job)) return job;
+    job.error = await this.submit(job); // already handled; the async loop reads its policy
+    return job;
+  }
+
+  // Encode whatever is on #captureCanvas into a job for submit() / enqueue()
+  // still: a picked/pasted image, never shown in #cameraFeed, so no text boxes and no ROI
+  buildJob(source = null, still = false) {
+    const dataUrl = this.camera.encodeJpeg(0.8);
+    const historyCfg = window.GeminiConfig?.history || {};
+    // Grab the thumbnail now: the canvas may hold a newer frame by the time the reply arrives
+    const thumbnail = historyCfg.saveThumbnails ? this.camera.thumbnailDataUrl(historyCfg.thumbnailSize || 160) : null;
+    return {
+      base64: U.extractBase64(dataUrl),
+      templateKey: this.ui.el.templateSelect?.value || '',
+      profileId: this.ui.el.profileSelect?.value || '',
+      // Text boxes need the crop and rotation of this exact frame to land on the video
+      overlay: !still && !!this.ui.el.overlayToggle?.checked,
+      crop: still ? null : this.camera.roi,
+      rotation: window.GeminiConfig?.preprocessing?.rotation || 0,
+      capturedAt: Date.now(),
+      thumbnail,
+      source
+    };
+  }
+
+  /**
+   * OCR still images from the file picker, clipboard or drop zone, one after another.
+   * Frame checks are skipped (the user picked these); the camera is not needed.
+   */
+  async captureImages(files) {
+    const images = [...files].filter(f => f?.type?.startsWith('image/'));
+    if (!images.length) {
+      this.ui.setStatus('No images found', 'warning');
+      return;
+    }
+
+    for (const [i, file] of images.entries()) {
+      const source = file.name || 'Clipboard image';
+      this.ui.renderImageProgress(i, images.length, source);
+      if (!this.checkBudget()) break;
+
+      let image;
+      try {
+        image = await U.loadImage(file);
+      } catch (e) {
+        console.warn('Image decode failed:', e);
+        this.ui.setStatus(`Could not read ${source}`, 'error');
+        continue;
+      }
+      const drawn = this.camera.grabImage(image);
+      image.close?.();
+      if (!drawn) continue;
+
+      const job = this.buildJob(source, true);
+      if (!navigator.onLine && await this.enqueue(job)) continue;
+      await this.submit(job);
+    }
+    this.ui.renderImageProgress(images.length, images.length);
+  }
+
+  /**
+   * Send one captured frame through the pool and show the reply in capture order.
+   * Shared by live capture and the offline queue (job.queued). Resolves with the
+   * OCRError on failure, else null. Live frames that hit a network error are queued
+   * (the error is still returned, so the async loop backs off).
+   */
+  async submit(job) {
+    // Text boxes use their own prompt + schema in place of the extraction template
+    const template = job.overlay ? this.ocr.getOverlayTemplate() : this.ocr.getTemplate(job.templateKey);
+    // Resolved when sent: a queued frame uses the profile's current version (or the selected one if it was deleted)
+    const profile = this.hooks.getPromptProfile(job.profileId);
+    const ticket = this.pool.take();
+    job.ticket = ticket; // whenSettled(ticket) -> job.result is final
+    let partialItem = null;
+
+    try {
+      this.ui.showLoading(true);
+      this.ui.hideError();
+
+      const reply = await this.pool.run(ticket, (signal, startClock) => this.ocr.request(job.base64, {
+        template,
+        profile,
+        signal,
+        onAcquired: startClock,
+        onWait: (ms) => this.ui.setStatus(`Rate limit - waiting ${Math.ceil(ms / 1000)}s`, 'warning'),
+        onPartial: (partial) => {
+          const shown = this.hooks.cleanOcrResult(partial, profile);
+          // Hold back replies that are still spelling out a no-text sentinel
+          if (!shown || this.isNoTextReply(shown, true, profile?.noText)) return;
+          partialItem = this.ui.updatePartialResult(partialItem, shown);
+          this.ui.setStatus('Receiving text...', 'default');
+        }
+      }));
+      this.ui.removePartialResult(partialItem);
+
+      // Tokens are billed even if this reply is superseded, so count them right away...
+      const { cost, modelName } = this.chargeUsage(reply, 'ocr', { spend: false });
+      const render = () => {
+        job.rendered = true; // the reply was shown: a result, no text or a template mismatch
+        job.result = this.showReply(reply, { ...job, template, profile, cost, modelName });
+      };
+      this.pool.settle(ticket, render);
+      // ...but charge the budget after settling. A hard-limit stop cancels the pool and drops
+      // waiting replies; the one that crossed the limit was paid for, so it is still shown.
+      const waiting = this.pool.isWaiting(ticket);
+      if (!this.recordSpend(cost?.totalCost || 0) && waiting) render();
+      return null;
+    } catch (e) {
+      this.ui.removePartialResult(partialItem);
+      this.pool.settle(ticket);
+      const err = OCRError.from(e);
+      // The connection dropped mid-capture: keep the frame for later instead of losing it
+      if (err.code === 'network' && !job.queued && await this.enqueue(job)) return err;
+      this.handleError(err);
+      return err;
+    } finally {
+      this.ui.showLoading(this.pool.size > 0);
+    }
+  }
+
+  // Store a frame for replay; false when queueing is off or storage failed
+  async enqueue(job) {
+    const cfg = window.GeminiConfig?.offlineQueue || {};
+    if (cfg.enabled === false) return false;
+    try {
+      const count = await this.queue.count();
+      if (count >= (cfg.maxItems || 200)) {
+        this.ui.setStatus(`Offline queue full (${count}) - frame dropped`, 'warning');
+        return true;
+      }
+      await this.queue.add({
+        capturedAt: job.capturedAt,
+        image: job.base64,
+        templateKey: job.templateKey,
+        profileId: job.profileId,
+        overlay: !!job.overlay,
+        thumbnail: job.thumbnail,
+        source: job.source,
+        videoTime: job.videoTime ?? null
+      });
+      this.ui.renderQueue(count + 1);
+      this.ui.setStatus(`Offline - ${count + 1} frame(s) queued`, 'warning');
+      return true;
+    } catch (e) {
+      console.warn('Offline queue save failed:', e);
+      return false;
+    }
+  }
+
+  // Replay queued frames oldest first through submit() (rate limiter, pool, budget all apply)
+  async drainQueue() {
+    if (this.draining || !navigator.onLine) return;
+    this.draining = true;
+    try {
+      let left = await this.queue.count();
+      while (left > 0 && navigator.onLine) {
+        const entry = await this.queue.oldest();
+        if (!entry) break;
+        if (!this.checkBudget()) break;
+
+        this.ui.setStatus(`Sending queued frames (${left} left)`, 'default');
+        const job = {
+          base64: entry.image,
+          templateKey: entry.templateKey,
+          profileId: entry.profileId || '',
+          overlay: !!entry.overlay,
+          capturedAt: entry.capturedAt,
+          thumbnail: entry.thumbnail,
+          source: entry.source || null,
+          videoTime: entry.videoTime ?? null,
+          queued: true
+        };
+        const err = await this.submit(job);
+        // Keep the frame unless its reply was final (skip policy); try again later when it may work
+        if (err && err.policy !== 'skip') {
+          if (err.policy === 'backoff' || err.policy === 'retry') {
+            setTimeout(() => this.drainQueue(), err.retryAfterMs || 5000);
+          }
+          break;
+        }
+        // A reply waiting for its turn can still be dropped (Stop, tab hidden); keep the frame then
+        if (!err) await this.pool.whenSettled(job.ticket);
+        if (!err && !job.rendered) break;
+        await this.queue.delete(entry.id);
+        left = await this.queue.count();
+        this.ui.renderQueue(left);
+      }
+    } catch (e) {
+      console.warn('Offline queue replay failed:', e);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  // Add a reply's tokens to the totals, ledger and budget; returns { cost, modelName }
+  // Priced at the rates of the model the request was sent to (reply.modelName)
+  // kind: 'ocr' or 'translation' (kept apart in the cost panel)
+  // spend: false leaves recordSpend() to the caller (see submit)
+  chargeUsage({ tokenUsage, estimate, latencyMs, modelName: sentTo }, kind = 'ocr', { spend = true } = {}) {
+    const modelName = sentTo || this.ocr.getModel()?.name || 'gemini-2.5-flash-lite';
+    let cost = null;
+    if (tokenUsage && this.ui.showTokenUsageSection) {
+      cost = this.ui.updateTokenUsage(tokenUsage, modelName, { estimate, latencyMs, kind });
+    }
+    if (tokenUsage) {
+      this.hooks.emit?.('usage', {
+        kind,
+        model: modelName,
+        tokens: { input: tokenUsage.inputTokens || 0, output: tokenUsage.outputTokens || 0, thinking: tokenUsage.thinkingTokens || 0 },
+        cost: cost?.totalCost || 0,
+        estimate: !!estimate
+      });
+    }
+    if (spend) this.recordSpend(cost?.totalCost || 0);
+    return { cost, modelName };
+  }
+
+  // Apply the error code's capture-loop policy (see OCRError.codes)
+  handleError(err) {
+    if (err.policy === 'ignore') return; // cancelled by stop()
+    if (err.tokenUsage) this.chargeUsage(err); // the reply arrived, so it was billed
+
+    console.warn('OCR error:', err);
+    this.hooks.emit?.('error', err.toJSON());
+    switch (err.policy) {
+      case 'stop':
+        this.stop();
+        if (err.code === 'auth' && err.rejected) this.hooks.forgetApiKey?.(); // prompt for a new key on restart
+        this.ui.setStatus(`${err.userMessage} - capture stopped`, 'error');
+        this.ui.showError(`${err.message.replace(/\.$/, '')}. ${err.action}`);
+        return;
+      case 'backoff':
+        // the server's RetryInfo wins over the 5s default
+        this.throttleUntil = U.now() + (err.retryAfterMs || 5000);
+        this.ui.setStatus(`${err.userMessage} - retrying in ${Math.ceil((err.retryAfterMs || 5000) / 1000)}s`, 'error');
+        return;
+      case 'skip':
+        this.ui.setStatus(`${err.userMessage} - ${err.action}`, 'warning');
+        return;
+      default:
+        this.ui.setStatus(err.code === 'timeout' ? err.message : err.userMessage, 'error');
+        this.lastSentThumb = null; // let the same frame through again on the next tick
+    }
+  }
+
+  // Turn one OCR reply into a result or a status message (runs in capture order).
+  // Returns the accepted result (as sent with the result event) or null.
+  showReply(reply, context) {
+    const { text, data, errors, meta, tokenUsage } = reply;
+    const { template, profile, cost, modelName, capturedAt, thumbnail, queued, source, videoTime, base64 } = context;
+    if (context.overlay && template) return this.showRegions(reply, context);
+    if (template) {
+      if (!data) {
+        this.ui.setStatus(`Reply did not match the ${template.label} template`, 'warning');
+        console.warn('Template validation failed:', errors, text);
+        return null;
+      }
+      if (U.isEmptyValue(data)) return this.reportNoText('noText', context);
+      return this.acceptResult(U.flattenFields(data), { fields: data, meta, tokenUsage, cost, modelName, capturedAt, thumbnail, queued, source, videoTime, image: base64 });
+    }
+
+    // Trim and clean the OCR result
+    const cleanedText = this.hooks.cleanOcrResult(text, profile);
+    const lower = (cleanedText || '').trim().toLowerCase();
+    const blurPhrase = 'no text detect and image blur';
+
+    if (this.isNoTextReply(cleanedText, false, profile?.noText)) {
+      // Blur/no-text signals should NOT appear in results list; status only
+      return this.reportNoText(lower === blurPhrase ? 'blur' : 'noText', context);
+    }
+
+    return this.acceptResult(cleanedText, { meta, tokenUsage, cost, modelName, capturedAt, thumbnail, queued, source, videoTime, profile, image: base64 });
+  }
+
+  // Status line + noText event; reason: 'noText' | 'blur'
+  reportNoText(reason, { capturedAt, source = null, videoTime = null, queued = false }) {
+    this.ui.setStatus(reason === 'blur' ? 'Image blur' : 'No text detected', 'warning');
+    this.hooks.emit?.('noText', { reason, capturedAt, source, videoTime, queued: !!queued });
+    return null;
+  }
+
+  // Overlay reply: boxes go on the video, the lines (in reading order) become a normal text result
+  showRegions({ data, errors, text, meta, tokenUsage }, context) {
+    const { template, profile, cost, modelName, capturedAt, thumbnail, queued, source, videoTime, crop, rotation, base64 } = context;
+    if (!data) {
+      this.ui.setStatus(`Reply did not match the ${template.label || 'text boxes'} format`, 'warning');
+      console.warn('Text box validation failed:', errors, text);
+      return null;
+    }
+    const regions = TextRegions.parse(data);
+    const cleanedText = this.hooks.cleanOcrResult(regions.map(r => r.text.trim()).join('\n'), profile);
+    // Replayed offline frames are long gone from the video; keep their text only
+    if (!queued) this.setTextBoxes(regions.map(r => ({ text: r.text.trim(), frame: TextRegions.toFrame(r.box_2d, { crop, rotation }) })));
+    if (this.isNoTextReply(cleanedText, false, profile?.noText)) return this.reportNoText('noText', context);
+    return this.acceptResult(cleanedText, { meta, tokenUsage, cost, modelName, capturedAt, thumbnail, queued, source, videoTime, profile, image: base64 });
+  }
+
+  // Replace the drawn boxes; they clear themselves after overlay.clearAfterMs unless replaced
+  setTextBoxes(boxes) {
+    this.textBoxes = boxes;
+    clearTimeout(this.textBoxTimer);
+    const holdMs = window.GeminiConfig?.overlay?.clearAfterMs ?? 8000;
+    if (boxes.length && holdMs > 0) this.textBoxTimer = setTimeout(() => this.setTextBoxes([]), holdMs);
+    this.renderTextBoxes();
+  }
+
+  // Map frame-space boxes to the element (object-fit, mirroring); call again after resizes
+  renderTextBoxes() {
+    const boxes = this.camera.isActive()
+      ? this.textBoxes.map(b => ({ text: b.text, ...this.camera.frameToElement(b.frame) })).filter(b => b.width > 0 && b.height > 0)
+      : [];
+    this.ui.drawTextBoxes(boxes);
+  }
+}
+
+/* ========== App (Composition Root) ========== */
+class App {
+  /**
+   * root: element holding the app markup; options: see WebcamOCR.create
+   */
+  constructor(root = document, options = {}) {
+    this.root = root;
+    this.options = options;
+    this.listeners = new Map(); // event type -> Set of handlers
+    this.loadFrameChecks();
+    this.loadPreprocessing();
+    this.ui = new UIManager(root);
+    this.ui.onStatus = (text, type) => this.emit('statusChange', {
+      text,
+      type,
+      running: this.capture?.isRunning() || false,
+      cameraActive: this.camera?.isActive() || false
+    });
+    this.camera = new CameraManager(this.ui);
+    this.ocr = new OCRService(this.getApiKey.bind(this));
+    this.budget = new BudgetGuard();
+    this.capture = new CaptureController(this.ui, this.camera, this.ocr, {
+      budget: this.budget,
+      cleanOcrResult: (text, profile) => this.cleanOcrResult(text, profile),
+      getPromptProfile: id => this.getPromptProfile(id),
+      recordResult: (entry, image) => this.recordResult(entry, image),
+      updateResult: (resultId, changes) => this.updateResult(resultId, changes),
+      forgetApiKey: () => this.forgetApiKey(),
+      emit: (type, detail) => this.emit(type, detail)
+    });
+    this.history = new HistoryStore();
+    this.historyView = { page: 0, search: '', from: null, to: null };
+    this.sessionResults = []; // accepted results since load / last Clear (for export)
+    this.historyIds = new Map(); // resultId -> Promise<history id>, for edits after saving
+    this.cleaningRules = TextRules.load();
+    this.promptProfiles = PromptProfiles.load();
+    this.webhook = new WebhookSender((pending, error) => this.ui.renderWebhookState(this.webhook.settings, pending, error));
+
+    this.bindEvents();
+    this.bindQuotaDisplay();
+    this.initDebugPanel();
+    if (options.autoStart !== false) this.autoStartCamera();
+  }
+
+  // Events for host pages: result, noText, error, statusChange, usage. Returns an unsubscribe function.
+  on(type, handler) {
+    if (!App.events.includes(type)) throw new Error(`Unknown event "${type}" (one of ${App.events.join(', ')})`);
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    this.listeners.get(type)?.delete(handler);
+  }
+
+  // A throwing host handler must not break the capture loop
+  emit(type, detail) {
+    this.listeners.get(type)?.forEach(handler => {
+      try {
+        handler(detail);
+      } catch (e) {
+        console.warn(`webcam-ocr "${type}" handler failed:`, e);
+      }
+    });
+  }
+
+  // Start Camera button / embed start(): camera if needed, then auto-capture. Rejects with a CameraError.
+  async start() {
+    // With a video file loaded, Start (re)scans from the current position
+    if (this.camera.isFile()) {
+      this.capture.start();
+      return;
+    }
+    try {
+      await this.camera.start(); // ensure camera is ready before OCR
+    } catch (e) {
+      this.showCameraError(e);
+      throw CameraError.from(e);
+    }
+    this.ui.hideError();
+    this.startCapture();
+  }
+
+  // Stop button / embed stop(): capture and camera
+  stop() {
+    this.capture.stop();
+    this.camera.stop();
+  }
+
+  /**
+   * Embed captureOnce(): OCR the current frame now, even if it looks unchanged.
+   * Resolves with the accepted result, or null when the frame was skipped, queued offline,
+   * had no text or failed (the noText / error / statusChange events say which).
+   */
+  async captureOnce() {
+    if (!this.camera.isActive()) throw new CameraError('Camera not started');
+    this.capture.lastSentThumb = null;
+    const job = await this.capture.captureOnce(true);
+    if (!job?.ticket) return null;
+    await this.capture.pool.whenSettled(job.ticket);
+    return job.result || null;
+  }
+
+  // Model select / embed setModel(): key in GeminiConfig.models
+  setModel(key) {
+    const models = window.GeminiConfig?.models || {};
+    if (!models[key]) throw new Error(`Unknown model "${key}" (one of ${Object.keys(models).join(', ')})`);
+    this.ocr.modelKey = key;
+    const select = this.ui.el.modelSelect;
+    if (select && select.value !== key) {
+      select.value = key;
+      select.dispatchEvent(new Event('change'));
+    }
+  }
+
+  // Capture Mode radios, else options.captureMode, else async
+  getCaptureMode() {
+    return this.root.querySelector('input[name="captureMode"]:checked')?.value || this.options.captureMode || 'async';
+  }
+
+  // Frame check settings: config defaults overridden by what the user last chose
+  loadFrameChecks() {
+    const cfg = window.GeminiConfig || {};
+    cfg.frameChecks = cfg.frameChecks || {};
+    try {
+      const saved = JSON.parse(localStorage.getItem('ocr_frame_checks') || 'null');
+      if (saved && typeof saved === 'object') Object.assign(cfg.frameChecks, saved);
+    } catch { /* ignore corrupt settings */ }
+  }
+
+  saveFrameChecks() {
+    const checks = window.GeminiConfig?.frameChecks || {};
+    try {
+      localStorage.setItem('ocr_frame_checks', JSON.stringify({
+        skipUnchanged: checks.skipUnchanged,
+        diffThreshold: checks.diffThreshold,
+        qualityCheck: checks.qualityCheck,
+        minSharpness: checks.minSharpness,
+        minBrightness: checks.minBrightness,
+        maxBrightness: checks.maxBrightness
+      }));
+    } catch { /* storage full or disabled */ }
+  }
+
+  // Persist an accepted result; history and webhook are best-effort and never block OCR
+  recordResult(entry, image = null) {
+    // Kept in capture order; replayed offline frames are older than live ones
+    const at = this.sessionResults.findIndex(r => r.timestamp > entry.timestamp);
+    if (at === -1) this.sessionResults.push(entry);
+    else this.sessionResults.splice(at, 0, entry);
+    this.webhook.push(entry, image);
+    if (window.GeminiConfig?.history?.enabled === false) return;
+    const saved = this.history.add(entry); // resolves with the history id
+    this.historyIds.set(entry.resultId, saved);
+    saved
+      .then(() => this.refreshHistory())
+      .catch(e => console.warn('History save failed:', e));
+  }
+
+  // Apply later changes (edit, translation) to a session result and its history record
+  updateResult(resultId, changes) {
+    const entry = this.sessionResults.find(r => r.resultId === resultId);
+    if (!entry) return;
+    Object.assign(entry, changes);
+    this.historyIds.get(resultId)
+      ?.then(id => this.history.put({ ...entry, id }))
+      .then(() => this.refreshHistory())
+      .catch(e => console.warn('History update failed:', e));
+  }
+
+  // Drop a result from the session (list + export); the saved history keeps it
+  removeResult(resultId) {
+    this.sessionResults = this.sessionResults.filter(r => r.resultId !== resultId);
+    this.historyIds.delete(resultId);
+  }
+
+  async refreshHistory() {
+    if (!this.ui.isHistoryOpen()) return;
+    const pageSize = window.GeminiConfig?.history?.pageSize || 10;
+    const { search, from, to } = this.historyView;
+    try {
+      let { items, total } = await this.history.query({ search, from, to, offset: this.historyView.page * pageSize, limit: pageSize });
+      // Deleting the last item of the last page: step back a page
+      if (!items.length && total && this.historyView.page > 0) {
+        this.historyView.page = Math.max(0, Math.ceil(total / pageSize) - 1);
+        ({ items, total } = await this.history.query({ search, from, to, offset: this.historyView.page * pageSize, limit: pageSize }));
+      }
+      this.ui.renderHistory(items, total, this.historyView.page, pageSize);
+    } catch (e) {
+      console.warn('History load failed:', e);
+      this.ui.renderHistoryError('History unavailable in this browser');
+    }
+  }
+
+  // Text box overlay: on/off switch (remembered) and click-to-copy on the drawn boxes
+  bindOverlayEvents() {
+    const el = this.ui.el;
+    const canvas = el.textBoxCanvas;
+    if (el.overlayToggle) {
+      el.overlayToggle.checked = localStorage.getItem('ocr_text_overlay') === '1';
+      el.overlayToggle.addEventListener('change', () => {
+        localStorage.setItem('ocr_text_overlay', el.overlayToggle.checked ? '1' : '0');
+        if (!el.overlayToggle.checked) this.capture.setTextBoxes([]);
+      });
     }
+    const boxAt = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return this.ui.textBoxAt(e.clientX - rect.left, e.clientY - rect.top);
+    };
+    canvas?.addEventListener('pointermove', (e) => {
+      canvas.style.cursor = boxAt(e) ? 'copy' : '';
+    });
+    canvas?.addEventListener('click', async (e) => {
+      const box = boxAt(e);
+      if (!box) return;
+      const ok = await U.copyText(box.text);
+      this.ui.setStatus(ok ? `Copied: ${box.text.length > 40 ? `${box.text.slice(0, 40)}…` : box.text}` : 'Copy failed', ok ? 'success' : 'error');
+    });
+    const redraw = () => this.capture.renderTextBoxes();
+    el.video?.addEventListener('loadedmetadata', redraw);
+    window.addEventListener('resize', redraw, { passive: true });
+  }
 
-    if (!response?.ok) {
-      throw new Error(`API error after retries: ${lastError?.error?.message || response?.statusText || 'Unknown'}`);
+  // Per-result buttons (copy / pin / edit / delete) and the auto-copy switch
+  bindResultEvents() {
+    const el = this.ui.el;
+    if (el.autoCopy) {
+      el.autoCopy.checked = localStorage.getItem('ocr_auto_copy') === '1';
+      el.autoCopy.addEventListener('change', () => localStorage.setItem('ocr_auto_copy', el.autoCopy.checked ? '1' : '0'));
     }
 
-    // 统一使用非流式解析
-     const json = await response.json();
-     const raw = json?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-     const text = raw || (typeof json?.candidates?.[0]?.content?.parts?.[0] === 'string'
-       ? json.candidates[0].content.parts[0]
-       : json?.candidates?.[0]?.content?.parts?.[0]?.text || '');
-
-     // Extract token usage from response metadata
-     const usage = json?.usageMetadata || {};
-     const inputTokens = usage.promptTokenCount || 0;
-     const outputTokens = usage.candidatesTokenCount || usage.responseTokenCount || 0;
+    el.results?.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-result-op]');
+      const item = btn?.closest('.result-item');
+      if (!item) return;
+      const id = item.dataset.resultId;
+      const entry = this.sessionResults.find(r => r.resultId === id);
+      const current = entry?.text ?? this.ui.resultTextEl(item)?.textContent ?? '';
 
-     return {
-       text: this.parseTextValue(text || ''),
-       meta: json || {},
-       tokenUsage: { inputTokens, outputTokens }
-     };
+      switch (btn.dataset.resultOp) {
+        case 'copy': {
+          const ok = await U.copyText(current);
+          this.ui.setStatus(ok ? 'Result copied' : 'Copy failed', ok ? 'success' : 'error');
+          break;
+        }
+        case 'pin':
+          this.ui.setStatus(this.ui.togglePin(item) ? 'Pinned - kept in the list' : 'Unpinned', 'default');
+          break;
+        case 'edit':
+          this.ui.startResultEdit(item, current);
+          break;
+        case 'save': {
+          const text = this.ui.readResultEdit(item).trim();
+          if (!text) {
+            this.ui.setStatus('Text is empty - use Delete to remove a result', 'warning');
+            return;
+          }
+          // The extracted text is kept once, however often the result is edited
+          const original = entry?.originalText ?? current;
+          const changed = text !== original;
+          this.updateResult(id, { text, originalText: changed ? original : null, edited: changed });
+          this.ui.finishResultEdit(item, text, changed ? original : null);
+          this.ui.setStatus(changed ? 'Result corrected' : 'Result saved', 'success');
+          break;
+        }
+        case 'cancel':
+          this.ui.finishResultEdit(item);
+          break;
+        case 'delete':
+          item.remove();
+          this.removeResult(id);
+          this.ui.setStatus('Result removed (still in History)', 'default');
+          break;
+      }
+    });
+    el.results?.addEventListener('keydown', (e) => {
+      if (!e.target.matches('.result-editor textarea')) return;
+      const item = e.target.closest('.result-item');
+      if (e.key === 'Escape') {
+        e.stopPropagation(); // Escape here cancels the edit, not the camera
+        this.ui.finishResultEdit(item);
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        item.querySelector('[data-result-op="save"]')?.click();
+      }
+    });
   }
-}
 
-/* ========== Capture Controller ========== */
-class CaptureController {
-  constructor(ui, camera, ocr) {
-    this.ui = ui;
-    this.camera = camera;
-    this.ocr = ocr;
-    this.mode = 'async'; // default
-    this.intervalId = null;
-    this.asyncRunning = false;
-    this.throttleUntil = 0;
-    this.lastCaptureTime = 0;
-    this.consecutiveErrors = 0;
-    this.maxConsecutiveErrors = 3;
-  }
+  // Region of interest: drag a rectangle on the video while in selection mode
+  bindRoiEvents() {
+    const el = this.ui.el;
+    const container = el.cameraContainer;
+    let selecting = false;
+    let dragStart = null;
 
-  setMode(mode) { this.mode = mode; }
+    const redraw = () => {
+      this.ui.renderRoi(this.camera.isActive() ? this.camera.frameToElement(this.camera.roi) : null);
+      this.ui.setRoiButtons(!!this.camera.roi);
+    };
+    const localPoint = (e) => {
+      const box = el.video.getBoundingClientRect();
+      return { x: e.clientX - box.left, y: e.clientY - box.top };
+    };
+    const setSelecting = (on) => {
+      selecting = on;
+      dragStart = null;
+      this.ui.setRoiSelecting(on);
+    };
 
-  stop() {
-    if (this.intervalId) clearInterval(this.intervalId);
-    this.intervalId = null;
-    this.asyncRunning = false;
-    this.consecutiveErrors = 0; // 重置错误计数
-    if (this.camera.isActive()) this.ui.setStatus('Camera active', 'success');
+    el.roiSelect?.addEventListener('click', () => {
+      if (!this.camera.isActive()) {
+        this.ui.setStatus('Start the camera to select a region', 'warning');
+        return;
+      }
+      setSelecting(!selecting);
+    });
+    el.roiClear?.addEventListener('click', () => {
+      this.camera.setRoi(null);
+      redraw();
+      this.ui.setStatus('Region cleared - using full frame', 'success');
+    });
+
+    container?.addEventListener('pointerdown', (e) => {
+      if (!selecting) return;
+      e.preventDefault();
+      dragStart = this.camera.elementToFrame(localPoint(e).x, localPoint(e).y);
+      container.setPointerCapture?.(e.pointerId);
+    });
+    container?.addEventListener('pointermove', (e) => {
+      if (!selecting || !dragStart) return;
+      const p = this.camera.elementToFrame(localPoint(e).x, localPoint(e).y);
+      if (!p) return;
+      this.ui.renderRoi(this.camera.frameToElement({
+        x: Math.min(dragStart.x, p.x), y: Math.min(dragStart.y, p.y),
+        w: Math.abs(p.x - dragStart.x), h: Math.abs(p.y - dragStart.y)
+      }));
+    });
+    container?.addEventListener('pointerup', (e) => {
+      if (!selecting || !dragStart) return;
+      const p = this.camera.elementToFrame(localPoint(e).x, localPoint(e).y);
+      const roi = p && {
+        x: Math.min(dragStart.x, p.x), y: Math.min(dragStart.y, p.y),
+        w: Math.abs(p.x - dragStart.x), h: Math.abs(p.y - dragStart.y)
+      };
+      setSelecting(false);
+      // Ignore taps / accidental tiny drags
+      if (roi && roi.w >= 0.02 && roi.h >= 0.02) {
+        this.camera.setRoi(roi);
+        this.ui.setStatus('Region set - only this area is sent', 'success');
+      }
+      redraw();
+    });
+    container?.addEventListener('pointercancel', () => {
+      setSelecting(false);
+      redraw();
+    });
+
+    el.video?.addEventListener('loadedmetadata', redraw);
+    window.addEventListener('resize', redraw, { passive: true });
+    redraw();
   }
 
-  // 改进的异步循环逻辑
-  async runAsyncLoop() {
-    this.lastCaptureTime = Date.now();
-    this.consecutiveErrors = 0;
+  bindHistoryEvents() {
+    const el = this.ui.el;
+    const view = this.historyView;
+    // <input type="date"> gives YYYY-MM-DD; filter on whole local days
+    const dayStart = v => (v ? new Date(`${v}T00:00:00`).getTime() : null);
+    const dayEnd = v => (v ? new Date(`${v}T23:59:59.999`).getTime() : null);
+    let searchTimer = null;
 
-    // 添加页面卸载监听，确保清理资源
-    const handlePageUnload = () => {
-      this.asyncRunning = false;
+    el.historyBtn?.addEventListener('click', () => {
+      this.ui.toggleHistory();
+      this.refreshHistory();
+    });
+    el.historySearch?.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        view.search = el.historySearch.value;
+        view.page = 0;
+        this.refreshHistory();
+      }, 250);
+    });
+    // A From date after the To date is taken as the same range picked the other way round
+    const applyDates = () => {
+      if (el.historyFrom?.value && el.historyTo?.value && el.historyFrom.value > el.historyTo.value) {
+        [el.historyFrom.value, el.historyTo.value] = [el.historyTo.value, el.historyFrom.value];
+      }
+      view.from = dayStart(el.historyFrom?.value);
+      view.to = dayEnd(el.historyTo?.value);
+      view.page = 0;
+      this.refreshHistory();
     };
-    window.addEventListener('beforeunload', handlePageUnload);
-
-    try {
-      while (this.asyncRunning && this.camera.isActive()) {
-        try {
-          this.lastCaptureTime = Date.now();
-          await this.captureOnce(true);
-          this.consecutiveErrors = 0; // 成功时重置计数
+    el.historyFrom?.addEventListener('change', applyDates);
+    el.historyTo?.addEventListener('change', applyDates);
+    el.historyPrev?.addEventListener('click', () => {
+      view.page = Math.max(0, view.page - 1);
+      this.refreshHistory();
+    });
+    el.historyNext?.addEventListener('click', () => {
+      view.page += 1;
+      this.refreshHistory();
+    });
+    el.historyList?.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-delete-id]');
+      if (!btn) return;
+      try {
+        await this.history.delete(Number(btn.dataset.deleteId));
+      } catch (err) {
+        console.warn('History delete failed:', err);
+      }
+      this.refreshHistory();
+    });
+  }
 
-          // 动态间隔：基于处理时间调整，避免过度请求
-          const processingTime = Date.now() - this.lastCaptureTime;
-          const dynamicDelay = Math.max(1000, processingTime * 0.1);
-          await U.sleep(dynamicDelay);
+  // File picker, clipboard paste and drag-and-drop onto the camera section
+  bindImageInputEvents() {
+    const el = this.ui.el;
+    const section = this.root.querySelector('.camera-section');
 
-        } catch (error) {
-          this.consecutiveErrors++;
-          console.warn('Async capture error:', error);
+    el.fileInput?.addEventListener('change', () => {
+      this.capture.captureImages(el.fileInput.files);
+      el.fileInput.value = ''; // picking the same file again should fire change
+    });
+    el.videoInput?.addEventListener('change', () => {
+      const file = el.videoInput.files?.[0];
+      el.videoInput.value = '';
+      if (file) this.openVideo(file);
+    });
 
-          // 错误退避策略：避免频繁错误时过度请求
-          if (this.consecutiveErrors >= this.maxConsecutiveErrors) {
-            this.ui.setStatus('Too many errors - pausing capture', 'error');
-            await U.sleep(5000); // 暂停5秒后重试
-            this.consecutiveErrors = 0; // 重置计数
-          } else {
-            // 递增延迟：1秒、2秒、3秒...
-            const backoffDelay = 1000 * this.consecutiveErrors;
-            await U.sleep(backoffDelay);
-          }
-        }
+    // Result from a video file: jump there and pause so the frame can be checked (see bindResultEvents for the other buttons)
+    el.results?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-video-time]');
+      if (!btn) return;
+      if (!this.camera.isFile()) {
+        this.ui.setStatus('That video is no longer loaded', 'warning');
+        return;
       }
-    } finally {
-      // 清理事件监听器
-      window.removeEventListener('beforeunload', handlePageUnload);
+      this.capture.stop();
+      this.camera.seek(Number(btn.dataset.videoTime));
+      this.ui.setStatus(`Paused at ${U.formatClock(Number(btn.dataset.videoTime))} - Start continues the scan from here`, 'default');
+    });
+
+    // Document-wide, so host pages can opt out (shortcuts: false)
+    if (this.options.shortcuts !== false) {
+      document.addEventListener('paste', (e) => {
+        // Pasting into a text field is just typing
+        if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+        const files = [...(e.clipboardData?.items || [])]
+          .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+          .map(item => item.getAsFile())
+          .filter(Boolean);
+        if (!files.length) return;
+        e.preventDefault();
+        this.capture.captureImages(files);
+      });
     }
-  }
 
-  async start() {
-    if (!this.camera.isActive()) return;
-    this.stop();
+    if (!section) return;
+    let depth = 0; // dragenter/leave fire for every child element
+    section.addEventListener('dragenter', (e) => {
+      if (!e.dataTransfer?.types?.includes('Files')) return;
+      e.preventDefault();
+      depth++;
+      el.dropZone?.classList.add('drag-over');
+    });
+    section.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer?.types?.includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    });
+    section.addEventListener('dragleave', () => {
+      depth = Math.max(0, depth - 1);
+      if (!depth) el.dropZone?.classList.remove('drag-over');
+    });
+    section.addEventListener('drop', (e) => {
+      e.preventDefault();
+      depth = 0;
+      el.dropZone?.classList.remove('drag-over');
+      const files = [...(e.dataTransfer?.files || [])];
+      const video = files.find(f => f.type.startsWith('video/'));
+      if (video) this.openVideo(video);
+      else this.capture.captureImages(files);
+    });
+  }
 
-    if (this.mode === 'interval') {
-      if (this.intervalId) return;
-      this.intervalId = setInterval(() => this.captureOnce(false), 1000);
-    } else {
-      if (this.asyncRunning) return;
-      this.asyncRunning = true;
-      this.runAsyncLoop(); // 启动异步循环，不等待
-    }
-    this.ui.setStatus('Auto-capture active', 'success');
+  // Run the capture loop in the mode picked under Capture Mode
+  startCapture() {
+    this.capture.setMode(this.getCaptureMode());
+    // Do not await: continuous loop; keep UI responsive (中文解释: 不要等待, 让UI保持响应)
+    this.capture.start();
   }
 
-  async captureOnce(waitForResponse) {
-    // global throttle
-    const now = U.now();
-    if (this.throttleUntil > now) {
-      const remain = Math.ceil((this.throttleUntil - now) / 1000);
-      this.ui.setStatus(`Throttled - waiting ${remain}s`, 'warning');
-      if (waitForResponse) await U.sleep(this.throttleUntil - now);
+  // Replace the camera with a recorded video and start sampling it
+  async openVideo(file) {
+    this.capture.stop();
+    try {
+      await this.camera.startFile(file);
+    } catch (e) {
+      this.showCameraError(e);
+      return;
     }
+    this.ui.hideError();
+    this.capture.start();
+  }
 
-    const dataUrl = this.camera.captureJpeg(0.8);
-    if (!dataUrl) return;
-
+  loadPreprocessing() {
+    const cfg = window.GeminiConfig || {};
+    cfg.preprocessing = cfg.preprocessing || {};
     try {
-      this.ui.showLoading(true);
-      this.ui.hideError();
+      const saved = JSON.parse(localStorage.getItem('ocr_preprocessing') || 'null');
+      if (saved && typeof saved === 'object') Object.assign(cfg.preprocessing, saved);
+    } catch { /* ignore corrupt settings */ }
+  }
 
-      const base64 = U.extractBase64(dataUrl);
+  bindBudgetEvents() {
+    const el = this.ui.el;
+    const num = input => Math.max(0, parseFloat(input?.value) || 0);
+    const update = () => {
+      this.budget.setLimits({
+        sessionUsd: num(el.budgetSessionUsd),
+        sessionRequests: Math.floor(num(el.budgetSessionRequests)),
+        dailyUsd: num(el.budgetDailyUsd),
+        dailyRequests: Math.floor(num(el.budgetDailyRequests)),
+        softLimitRatio: Math.min(100, num(el.budgetSoftPercent) || 80) / 100
+      });
+      const wasStopped = this.capture.budgetLevel === 'hard';
+      if (!this.capture.checkBudget()) return;
+      this.ui.hideError();
+      // Limit raised after a budget stop: resume where we left off
+      if (wasStopped && this.camera.isActive()) this.capture.start();
+    };
 
-      const { text, meta, tokenUsage } = await this.ocr.request(base64);
+    this.ui.renderBudgetLimits(this.budget.limits);
+    const { level, reason } = this.budget.status();
+    this.ui.renderBudget(this.budget.snapshot(), level, reason);
+    [el.budgetSessionUsd, el.budgetSessionRequests, el.budgetDailyUsd, el.budgetDailyRequests, el.budgetSoftPercent]
+      .forEach(input => input?.addEventListener('change', update));
+  }
 
-      // Update token usage if available
-      if (tokenUsage && this.ui.showTokenUsageSection) {
-        const model = this.ocr.getModel();
-        const modelName = model?.name || 'gemini-2.5-flash-lite';
-        this.ui.updateTokenUsage(tokenUsage.inputTokens, tokenUsage.outputTokens, modelName);
-      }
+  // Webhook settings: Save applies the form, Test Send posts a sample with the form as it is
+  bindWebhookEvents() {
+    const el = this.ui.el;
+    const read = () => {
+      const { headers, error } = WebhookSender.parseHeaders(el.webhookHeaders?.value);
+      const settings = {
+        enabled: !!el.webhookEnabled?.checked,
+        url: (el.webhookUrl?.value || '').trim(),
+        headers: headers || {},
+        secret: el.webhookSecret?.value || '',
+        includeImage: !!el.webhookIncludeImage?.checked
+      };
+      if (error) return { error };
+      if (settings.url && !/^https?:\/\/\S+$/i.test(settings.url)) return { error: 'URL must start with http:// or https://' };
+      if (settings.enabled && !settings.url) return { error: 'Enter a URL to enable the webhook' };
+      return { settings };
+    };
 
-      // Trim and clean the OCR result
-      const cleanedText = this.app.cleanOcrResult(text);
-      const lower = (cleanedText || '').trim().toLowerCase();
+    this.ui.renderWebhookSettings(this.webhook.settings);
+    this.webhook.notify();
+    this.webhook.flush(); // results left in the outbox by the last session
 
-      // Use configurable no-text patterns from config (case-insensitive)
-      const cfg = window.GeminiConfig || {};
-      const patterns = Array.isArray(cfg.noTextPatterns) && cfg.noTextPatterns.length
-        ? cfg.noTextPatterns
-        : ['no text','no text detected','no text visible','no readable text','no text found','no text in the image','no visible text','image blur','blurred','blurry','too blurry','no text detect and image blur'];
-
-      const isNoText = !lower || patterns.some(p => lower.includes(String(p).toLowerCase()));
-      const blurPhrase = 'no text detect and image blur';
-
-      if (isNoText) {
-        // Blur/no-text signals should NOT appear in results list; status only
-        if (lower === blurPhrase) {
-          this.ui.setStatus('Image blur', 'warning');
-        } else {
-          this.ui.setStatus('No text detected', 'warning');
-        }
+    el.webhookSave?.addEventListener('click', () => {
+      const { settings, error } = read();
+      if (error) {
+        this.ui.showWebhookMessage(error, 'error');
         return;
       }
+      this.webhook.setSettings(settings);
+      this.ui.renderWebhookSettings(this.webhook.settings);
+      this.ui.showWebhookMessage(settings.enabled ? 'Saved - results will be sent' : 'Saved - webhook off', 'success');
+    });
+    el.webhookTest?.addEventListener('click', async () => {
+      const { settings, error } = read();
+      if (error || !settings.url) {
+        this.ui.showWebhookMessage(error || 'Enter a URL first', 'error');
+        return;
+      }
+      el.webhookTest.disabled = true;
+      this.ui.showWebhookMessage('Sending test...', 'default');
+      const result = await this.webhook.test(settings, this.ocr.getModel()?.name || '');
+      el.webhookTest.disabled = false;
+      this.ui.showWebhookMessage(result.ok ? `Test delivered (HTTP ${result.status})` : `Test failed: ${result.error}`, result.ok ? 'success' : 'error');
+    });
+  }
 
-      const confidence = U.confidenceHeuristic(cleanedText, meta);
-      this.ui.addResult(cleanedText, confidence);
-      this.ui.setStatus('OCR completed', 'success');
-    } catch (e) {
-      const msg =
-        e.message.includes('API key') ? 'API key required - please set GEMINI_API_KEY'
-        : e.message.includes('Network') ? 'Network connection error'
-        : e.message.includes('429') || e.message.includes('500') ? 'Service temporarily unavailable'
-        : 'OCR processing failed';
-      this.ui.setStatus(msg, 'error');
-
-      // backoff 5s after server-side issues to be polite
-      if (e.message.includes('429') || e.message.includes('500')) {
-        this.throttleUntil = U.now() + 5000;
-      }
-      console.warn('OCR error:', e);
-    } finally {
-      this.ui.showLoading(false);
-    }
+  bindPreprocessingEvents() {
+    const el = this.ui.el;
+    const opts = window.GeminiConfig?.preprocessing || {};
+    const update = () => {
+      opts.maxDimension = parseInt(el.ppMaxDimension?.value, 10) || 0;
+      opts.grayscale = !!el.ppGrayscale?.checked;
+      opts.contrast = el.ppContrast?.value || 'none';
+      opts.sharpen = !!el.ppSharpen?.checked;
+      opts.rotation = parseInt(el.ppRotation?.value, 10) || 0;
+      try {
+        localStorage.setItem('ocr_preprocessing', JSON.stringify(opts));
+      } catch { /* storage full or disabled */ }
+      // Re-render the preview from the last grabbed frame so changes show immediately
+      if (this.camera.isActive()) this.camera.processFrame();
+    };
+
+    this.ui.renderPreprocessing(opts);
+    [el.ppMaxDimension, el.ppGrayscale, el.ppContrast, el.ppSharpen, el.ppRotation]
+      .forEach(input => input?.addEventListener('change', update));
   }
-}
 
-/* ========== App (Composition Root) ========== */
-class App {
-  constructor() {
-    this.ui = new UIManager();
-    this.camera = new CameraManager(this.ui);
-    this.ocr = new OCRService(this.getApiKey.bind(this));
-    this.capture = new CaptureController(this.ui, this.camera, this.ocr);
+  // profile.preserveWhitespace keeps indentation (source code)
+  cleanOcrResult(text, profile = null) {
+    return TextRules.apply(text, this.cleaningRules, { preserveWhitespace: !!profile?.preserveWhitespace });
+  }
 
-    this.bindEvents();
-    this.initDebugPanel();
-    this.autoStartCamera();
+  // Profile by id, falling back to the selected one, then the first
+  getPromptProfile(id = this.ui.el.profileSelect?.value) {
+    return this.promptProfiles.find(p => p.id === id)
+      || this.promptProfiles.find(p => p.id === this.ui.el.profileSelect?.value)
+      || this.promptProfiles[0];
   }
 
-  cleanOcrResult(text) {
-    if (!text) return '';
-    // Define patterns to remove
-    const patternsToRemove = [
-      /@ezlink/i,
-      /Check card balance and reload via/i,
-      /Scan QR to download/i,
-      /adult/i,
-      /AD: \d{1,3}\/\d{1,3}/i
-    ];
-    
-    let cleanedText = text;
-    patternsToRemove.forEach(pattern => {
-      cleanedText = cleanedText.replace(pattern, '');
+  // Rule editor works on a draft; live results only change on "Save & Apply"
+  bindRulesEvents() {
+    const el = this.ui.el;
+    let draft = this.cleaningRules.map(r => ({ ...r }));
+    const render = (dirty) => this.ui.renderRules(draft, TextRules.check(draft), dirty);
+    const move = (i, delta) => {
+      const j = i + delta;
+      if (j < 0 || j >= draft.length) return;
+      [draft[i], draft[j]] = [draft[j], draft[i]];
+    };
+
+    el.rulesList?.addEventListener('input', (e) => {
+      const row = e.target.closest('[data-rule-index]');
+      const field = e.target.dataset.field;
+      if (!row || !field) return;
+      const rule = draft[Number(row.dataset.ruleIndex)];
+      rule[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+      // Action change toggles the replacement input; other edits keep focus in place
+      if (field === 'action') render(true);
+      else this.ui.markRuleRow(row, TextRules.check([rule])[rule.id], true);
+    });
+    el.rulesList?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-rule-op]');
+      if (!btn) return;
+      const i = Number(btn.closest('[data-rule-index]').dataset.ruleIndex);
+      if (btn.dataset.ruleOp === 'up') move(i, -1);
+      if (btn.dataset.ruleOp === 'down') move(i, 1);
+      if (btn.dataset.ruleOp === 'delete') draft.splice(i, 1);
+      render(true);
+    });
+    el.rulesAdd?.addEventListener('click', () => {
+      draft.push(TextRules.normalize({ pattern: '' }));
+      render(true);
+    });
+    el.rulesReset?.addEventListener('click', () => {
+      draft = TextRules.defaults();
+      render(true);
+    });
+    el.rulesTest?.addEventListener('click', () => {
+      this.ui.showRulesTestOutput(TextRules.apply(el.rulesSample?.value || '', draft));
+    });
+    el.rulesSave?.addEventListener('click', () => {
+      const errors = TextRules.check(draft.filter(r => r.enabled));
+      if (Object.keys(errors).length) {
+        this.ui.setStatus('Fix invalid rules before saving', 'error');
+        return;
+      }
+      this.cleaningRules = draft.map(r => ({ ...r }));
+      TextRules.save(this.cleaningRules);
+      render(false);
+      this.ui.setStatus('Cleaning rules applied', 'success');
+    });
+    el.rulesExport?.addEventListener('click', () => {
+      U.downloadText(`ocr-cleaning-rules-${U.fileStamp()}.json`, JSON.stringify(draft, null, 2), 'application/json');
+    });
+    el.rulesImport?.addEventListener('change', async () => {
+      const file = el.rulesImport.files?.[0];
+      if (!file) return;
+      try {
+        draft = TextRules.parseImport(await file.text());
+        render(true);
+        this.ui.setStatus(`Imported ${draft.length} rules - test, then Save & Apply`, 'success');
+      } catch (e) {
+        this.ui.setStatus(`Import failed: ${e.message}`, 'error');
+      }
+      el.rulesImport.value = '';
     });
 
-    // Split by lines, trim each line, and filter out empty lines
-    const lines = cleanedText.split('\n').map(line => line.trim()).filter(Boolean);
-    return lines.join('\n');
+    render(false);
+  }
+
+  /**
+   * Profile editor works on a draft of the selected profile; requests only see it after "Save Profile".
+   * New / Duplicate / Delete / Import / Restore change the saved list right away.
+   */
+  bindProfileEvents() {
+    const el = this.ui.el;
+    let draft = null;
+    const edit = () => {
+      const current = this.getPromptProfile();
+      draft = { ...current, params: { ...current.params } };
+      this.ui.renderProfileEditor(draft, {}, false);
+    };
+    const commit = (profiles, selectId, message) => {
+      this.promptProfiles = profiles;
+      PromptProfiles.save(profiles);
+      this.ui.renderProfileOptions(profiles, selectId);
+      PromptProfiles.saveSelected(el.profileSelect?.value || '');
+      edit();
+      if (message) this.ui.setStatus(message, 'success');
+    };
+
+    el.profileSelect?.addEventListener('change', () => {
+      PromptProfiles.saveSelected(el.profileSelect.value);
+      edit(); // unsaved edits to the previous profile are dropped
+    });
+    el.profileForm?.addEventListener('input', (e) => {
+      const { field, param } = e.target.dataset;
+      if (field) draft[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+      else if (param) draft.params[param] = e.target.value;
+      else return;
+      this.ui.markProfileEditor(PromptProfiles.check(draft), true);
+    });
+    el.profileSave?.addEventListener('click', () => {
+      const errors = PromptProfiles.check(draft);
+      if (Object.keys(errors).length) {
+        this.ui.markProfileEditor(errors, true);
+        this.ui.setStatus('Fix the profile before saving', 'error');
+        return;
+      }
+      const saved = PromptProfiles.normalize(draft);
+      commit(this.promptProfiles.map(p => (p.id === saved.id ? saved : p)), saved.id, `Profile "${saved.label}" saved`);
+    });
+    el.profileNew?.addEventListener('click', () => {
+      const profile = PromptProfiles.normalize({ label: 'New profile' });
+      commit([...this.promptProfiles, profile], profile.id, 'Profile added - edit it, then Save Profile');
+    });
+    el.profileDuplicate?.addEventListener('click', () => {
+      const copy = PromptProfiles.duplicate(this.getPromptProfile());
+      commit([...this.promptProfiles, copy], copy.id, `Created "${copy.label}"`);
+    });
+    el.profileDelete?.addEventListener('click', () => {
+      if (this.promptProfiles.length <= 1) {
+        this.ui.setStatus('Keep at least one profile', 'warning');
+        return;
+      }
+      const removed = this.getPromptProfile();
+      const rest = this.promptProfiles.filter(p => p.id !== removed.id);
+      commit(rest, rest[0].id, `Profile "${removed.label}" deleted`);
+    });
+    el.profileExport?.addEventListener('click', () => {
+      U.downloadText(`ocr-prompt-profiles-${U.fileStamp()}.json`, JSON.stringify(this.promptProfiles, null, 2), 'application/json');
+    });
+    el.profileImport?.addEventListener('change', async () => {
+      const file = el.profileImport.files?.[0];
+      if (!file) return;
+      try {
+        const imported = PromptProfiles.parseImport(await file.text());
+        // Same id replaces the existing profile; new ids are appended
+        const ids = new Set(imported.map(p => p.id));
+        commit([...this.promptProfiles.filter(p => !ids.has(p.id)), ...imported], imported[0].id, `Imported ${imported.length} profile(s)`);
+      } catch (e) {
+        this.ui.setStatus(`Import failed: ${e.message}`, 'error');
+      }
+      el.profileImport.value = '';
+    });
+    el.profileReset?.addEventListener('click', () => {
+      // Built-ins go back to the shipped version; the user's own profiles stay
+      const builtIns = PromptProfiles.defaults();
+      const ids = new Set(builtIns.map(p => p.id));
+      commit([...builtIns, ...this.promptProfiles.filter(p => !ids.has(p.id))], el.profileSelect?.value, 'Built-in profiles restored');
+    });
+
+    this.ui.renderProfileOptions(this.promptProfiles, PromptProfiles.loadSelected());
+    edit();
   }
 
   bindEvents() {
     // Buttons
-    this.ui.el.start?.addEventListener('click', async () => {
-      await this.camera.start(); // ensure camera is ready before OCR
-      const modeEl = document.querySelector('input[name="captureMode"]:checked');
-      const mode = modeEl ? modeEl.value : 'async'; // default to async
-      this.capture.setMode(mode);
-      // Do not await: continuous loop; keep UI responsive (中文解释: 不要等待, 让UI保持响应)
-      this.capture.start();
-    });
-    this.ui.el.stop?.addEventListener('click', () => {
+    this.ui.el.start?.addEventListener('click', () => this.start().catch(() => { /* shown by showCameraError */ }));
+    if (!navigator.mediaDevices?.getDisplayMedia && this.ui.el.shareScreen) this.ui.el.shareScreen.hidden = true;
+    this.ui.el.shareScreen?.addEventListener('click', async () => {
+      const wasRunning = !!(this.capture.asyncRunning || this.capture.intervalId);
       this.capture.stop();
-      this.camera.stop();
+      try {
+        await this.camera.startScreen();
+      } catch (e) {
+        if (e.reason === 'NotAllowedError') this.ui.setStatus(e.message, 'warning'); // picker dismissed
+        else this.showCameraError(e);
+        // The previous source is still attached; pick up where capture left off
+        if (wasRunning && this.camera.isActive()) this.startCapture();
+        return;
+      }
+      this.ui.hideError();
+      this.startCapture();
     });
+    // Browser "Stop sharing" bar, or the camera went away
+    this.camera.onEnded = (wasScreen) => {
+      this.capture.stop();
+      this.ui.setStatus(wasScreen ? 'Screen sharing ended' : 'Camera disconnected', 'warning');
+    };
+    this.ui.el.stop?.addEventListener('click', () => this.stop());
     this.ui.el.toggle?.addEventListener('click', async () => {
       const wasRunning = !!(this.capture.asyncRunning || this.capture.intervalId);
       this.capture.stop();
@@ -725,17 +4641,48 @@ class App {
         await this.camera.toggleFacing();
         this.ui.setStatus('Camera switched', 'success');
       } catch (e) {
-        this.ui.setStatus('Switch camera failed', 'error');
-        console.warn('Toggle camera error:', e);
+        this.showCameraError(e);
       }
       if (wasRunning && this.camera.isActive()) {
         this.capture.start();
       }
     });
-    this.ui.el.clear?.addEventListener('click', () => this.ui.clearResults());
+    this.ui.el.clear?.addEventListener('click', () => {
+      this.ui.clearResults();
+      this.sessionResults = [];
+      this.historyIds.clear();
+    });
+    this.ui.el.exportMenu?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-export]');
+      if (!btn) return;
+      this.ui.el.exportMenu.open = false;
+      if (!this.sessionResults.length) {
+        this.ui.setStatus('Nothing to export yet', 'warning');
+        return;
+      }
+      try {
+        Exporter.download(btn.dataset.export, this.sessionResults, this.ui.tokenUsage);
+        this.ui.setStatus(`Exported ${this.sessionResults.length} results`, 'success');
+      } catch (err) {
+        console.warn('Export failed:', err);
+        this.ui.setStatus('Export failed', 'error');
+      }
+    });
+    this.bindHistoryEvents();
+    this.bindImageInputEvents();
+    this.bindRoiEvents();
+    this.bindOverlayEvents();
+    this.bindResultEvents();
+    this.bindRulesEvents();
+    this.bindProfileEvents();
+    this.bindPreprocessingEvents();
+    this.bindBudgetEvents();
+    this.bindWebhookEvents();
 
     // Capture mode
-    document.querySelectorAll('input[name="captureMode"]').forEach(radio => {
+    const modeRadio = this.options.captureMode && this.root.querySelector(`input[name="captureMode"][value="${this.options.captureMode}"]`);
+    if (modeRadio) modeRadio.checked = true;
+    this.root.querySelectorAll('input[name="captureMode"]').forEach(radio => {
       radio.addEventListener('change', () => {
         this.capture.setMode(radio.value);
         this.capture.stop();
@@ -743,24 +4690,74 @@ class App {
       });
     });
 
-    // Model selection
-    this.ui.el.modelSelect?.addEventListener('change', () => this.ui.updateModelInfo());
+    // Frame checks
+    const checks = window.GeminiConfig?.frameChecks || {};
+    this.ui.renderFrameChecks(checks);
+    this.ui.el.skipUnchanged?.addEventListener('change', () => {
+      checks.skipUnchanged = this.ui.el.skipUnchanged.checked;
+      this.capture.lastSentThumb = null;
+      this.ui.renderFrameChecks(checks);
+      this.saveFrameChecks();
+    });
+    this.ui.el.qualityCheck?.addEventListener('change', () => {
+      checks.qualityCheck = this.ui.el.qualityCheck.checked;
+      this.ui.renderFrameChecks(checks);
+      this.saveFrameChecks();
+    });
+    ['diffThreshold', 'minSharpness', 'minBrightness', 'maxBrightness'].forEach(key => {
+      this.ui.el[key]?.addEventListener('input', () => {
+        checks[key] = parseFloat(this.ui.el[key].value) || 0;
+        this.ui.renderFrameChecks(checks);
+        this.saveFrameChecks();
+      });
+    });
 
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') { this.capture.stop(); this.camera.stop(); }
+    // Model selection
+    this.ui.el.modelSelect?.addEventListener('change', () => {
+      this.ocr.modelKey = this.ui.el.modelSelect.value;
+      this.ui.updateModelInfo();
     });
 
+    // Keyboard shortcuts (host pages can opt out: their Escape is not ours)
+    if (this.options.shortcuts !== false) {
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') this.stop();
+      });
+    }
+
     // Page visibility
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
         this.capture.stop();
-      } else if (this.camera.isActive()) {
-        this.capture.start();
+        return;
       }
+      if (this.camera.isActive()) this.capture.start();
+      this.capture.drainQueue(); // stop() may have cancelled a replay
+    });
+
+    // Connectivity: queue frames while offline, replay them once back online
+    window.addEventListener('offline', () => this.ui.setStatus('Offline - frames will be queued', 'warning'));
+    window.addEventListener('online', () => {
+      this.ui.setStatus('Back online', 'success');
+      this.capture.drainQueue();
+      this.webhook.flush();
     });
+    this.capture.queue.count()
+      .then(count => {
+        this.ui.renderQueue(count);
+        if (count) this.capture.drainQueue();
+      })
+      .catch(e => console.warn('Offline queue unavailable:', e));
 
     // Init model info
+    this.ui.syncModelOptions();
+    this.ocr.modelKey = this.ui.el.modelSelect?.value || '';
+    if (this.options.model) this.setModel(this.options.model);
+    this.ui.syncTemplateOptions();
+    this.ui.syncTranslateOptions(localStorage.getItem('ocr_translate_to') || '');
+    this.ui.el.translateSelect?.addEventListener('change', (e) => {
+      localStorage.setItem('ocr_translate_to', e.target.value);
+    });
     this.ui.updateModelInfo();
   }
 
@@ -782,23 +4779,18 @@ class App {
       await this.camera.start();
 
       setTimeout(() => {
-        if (this.camera.isActive()) {
-          const modeEl = document.querySelector('input[name="captureMode"]:checked');
-          const mode = modeEl ? modeEl.value : 'interval';
-          this.capture.setMode(mode);
-          this.capture.start();
-        }
+        if (this.camera.isActive()) this.startCapture();
       }, 1000);
     } catch (e) {
       console.warn('Auto-start camera failed', e);
       this.ui.setStatus('Click "Start Camera" to begin', 'warning');
-      if (e.name === 'NotFoundError') this.ui.setStatus('No camera detected', 'error');
+      if (CameraError.from(e).reason === 'NotFoundError') this.ui.setStatus('No camera detected', 'error');
     }
   }
 
   initDebugPanel() {
     const isDevelopment = location.hostname === 'localhost' || location.hostname === '127.0.0.1' || location.protocol === 'file:';
-    const debugInfo = document.getElementById('debugInfo');
+    const debugInfo = this.root.querySelector('#debugInfo');
     if (debugInfo) debugInfo.style.display = isDevelopment ? 'block' : 'none';
     if (isDevelopment) {
       this.ui.updateDebug({
@@ -809,8 +4801,42 @@ class App {
     }
   }
 
-  // Get API key from env / localStorage / prompt
+  // Remaining RPM/TPM for the selected model; buckets refill continuously, so also tick once a second
+  bindQuotaDisplay() {
+    const render = () => this.ui.renderQuota(this.ocr.limiter.remaining(this.ocr.getModel()?.name));
+    this.ocr.limiter.onChange = (modelName) => {
+      if (modelName === this.ocr.getModel()?.name) render();
+    };
+    this.ui.el.modelSelect?.addEventListener('change', render);
+
+    // Usage tier of the API key: sets the limits above
+    this.ocr.limiter.setTier(localStorage.getItem('ocr_rate_tier') || '');
+    this.ui.syncTierOptions(this.ocr.limiter.tier);
+    this.ui.el.rateTierSelect?.addEventListener('change', (e) => {
+      if (!this.ocr.limiter.setTier(e.target.value)) return;
+      localStorage.setItem('ocr_rate_tier', e.target.value);
+      render();
+    });
+    setInterval(() => { if (!document.hidden) render(); }, 1000);
+    render();
+  }
+
+  showCameraError(e) {
+    const err = CameraError.from(e);
+    console.warn('Camera error:', err);
+    this.emit('error', err.toJSON());
+    this.ui.setStatus(err.message, 'error');
+    this.ui.showError(`${err.message.replace(/\.$/, '')}. ${err.action}`);
+  }
+
+  // The API rejected the stored key: drop it so the next request prompts again
+  forgetApiKey() {
+    try { localStorage.removeItem('gemini_api_key'); } catch { /* storage disabled */ }
+  }
+
+  // Get API key from embed options / env / localStorage / prompt
   getApiKey() {
+    if (this.options.apiKey) return this.options.apiKey;
     try {
       if (typeof GEMINI_API_KEY !== 'undefined' && GEMINI_API_KEY) {
         return GEMINI_API_KEY;
@@ -828,9 +4854,91 @@ class App {
   }
 }
 
+App.events = ['result', 'noText', 'error', 'statusChange', 'usage'];
+
+/* ========== Embed API ========== */
+/**
+ * WebcamOCR.create(container, options) -> handle, for host pages that load
+ * gemini-config.js + script.js (+ styles.css). Element ids are looked up inside `container`;
+ * one without the app markup gets a bare camera view, so the host builds its own controls.
+ *
+ * options: { apiKey, model, captureMode: 'async' | 'interval', autoStart (default true),
+ *            shortcuts (Escape / paste on the document, default true), allowedOrigins }
+ * handle:  start(), stop(), captureOnce(), setModel(key), on(type, fn) -> off, off(type, fn), app
+ *
+ * Inside an iframe the same methods and events are available to the parent over postMessage:
+ *   parent -> frame: { channel: 'webcam-ocr', id, method, args }
+ *   frame -> parent: { channel: 'webcam-ocr', id, ok, value | error }   (reply to a call)
+ *                    { channel: 'webcam-ocr', event, detail }            (events, plus 'ready')
+ * Only origins in allowedOrigins (default GeminiConfig.embed.allowedOrigins; [] = same origin)
+ * may call, and events are only posted to them.
+ */
+const WebcamOCR = {
+  methods: ['start', 'stop', 'captureOnce', 'setModel'],
+
+  cameraMarkup: `
+    <div class="camera-container">
+      <video id="cameraFeed" autoplay playsinline muted></video>
+      <canvas id="captureCanvas" style="display: none;"></canvas>
+      <div class="camera-overlay" id="cameraOverlay">
+        <div class="roi-box" id="roiBox" style="display: none;"></div>
+        <canvas class="text-boxes" id="textBoxCanvas"></canvas>
+      </div>
+    </div>`,
+
+  create(container, options = {}) {
+    if (!container) throw new Error('WebcamOCR.create needs a container element');
+    if (!container.querySelector('#cameraFeed')) container.insertAdjacentHTML('beforeend', this.cameraMarkup);
+    const app = new App(container, options);
+    const handle = {
+      app,
+      start: () => app.start(),
+      stop: () => app.stop(),
+      captureOnce: () => app.captureOnce(),
+      setModel: key => app.setModel(key),
+      on: (type, handler) => app.on(type, handler),
+      off: (type, handler) => app.off(type, handler)
+    };
+    if (window.parent !== window) this.bridge(handle, options.allowedOrigins ?? window.GeminiConfig?.embed?.allowedOrigins);
+    return handle;
+  },
+
+  // postMessage <-> handle for a parent page; errors become plain objects (see OCRError.toJSON)
+  bridge(handle, allowedOrigins = []) {
+    const origins = allowedOrigins.length ? allowedOrigins : [location.origin];
+    const post = message => {
+      origins.forEach(origin => window.parent.postMessage({ channel: 'webcam-ocr', ...message }, origin));
+    };
+
+    window.addEventListener('message', async (e) => {
+      const { channel, id, method, args } = e.data || {};
+      if (channel !== 'webcam-ocr' || !method || e.source !== window.parent) return;
+      if (!origins.includes('*') && !origins.includes(e.origin)) return;
+      const reply = message => e.source.postMessage({ channel: 'webcam-ocr', id, ...message }, e.origin);
+      if (!this.methods.includes(method)) {
+        reply({ ok: false, error: { code: 'request', message: `Unknown method "${method}"` } });
+        return;
+      }
+      try {
+        const value = await handle[method](...(Array.isArray(args) ? args : []));
+        reply({ ok: true, value: value ?? null });
+      } catch (err) {
+        reply({ ok: false, error: err instanceof OCRError ? err.toJSON() : { code: 'request', message: err?.message || String(err) } });
+      }
+    });
+
+    App.events.forEach(event => handle.on(event, detail => post({ event, detail })));
+    post({ event: 'ready', detail: { methods: this.methods, events: App.events } });
+  }
+};
+window.WebcamOCR = WebcamOCR;
+
 /* ========== Bootstrap ========== */
 document.addEventListener('DOMContentLoaded', () => {
-  const app = new App();
+  // The standalone page marks its root; host pages call WebcamOCR.create() themselves
+  const root = document.querySelector('[data-webcam-ocr]');
+  if (!root) return;
+  const { app } = WebcamOCR.create(root);
   // Expose in dev
   if (location.hostname === 'localhost' || location.hostname === '127.0.0.1') {
     window.webcamOCR = app;
@@ -864,9 +4972,4 @@ document.addEventListener('DOMContentLoaded', () => {
   updateHeaderOffset();
   window.addEventListener('resize', updateHeaderOffset, { passive: true });
   window.addEventListener('orientationchange', () => { setSafeAreaTop(); updateHeaderOffset(); }, { passive: true });
-
-  // Pass app instance to controller
-  if (app.capture) {
-    app.capture.app = app;
-  }
 });
\ No newline at end of file